@@ -1,4 +1,40 @@
 require('dotenv').config();
+const path = require('path');
+
+// Parse a JSON environment variable, falling back when it is missing or invalid
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`Warning: ${name} is not valid JSON, ignoring it`);
+    return fallback;
+  }
+}
+
+// Parse a numeric environment variable. 0 is a real value, so only a missing or non-numeric value
+// falls back.
+function parseNumberEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Parse per-folder settings such as "/Apps/Receipts=tesseract,/Apps/PDFs=auto"
+function parseFolderMap(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map(pair => pair.split('='))
+    .filter(([folder, setting]) => folder && setting)
+    .map(([folder, setting]) => ({
+      folder: folder.trim().toLowerCase().replace(/\/+$/, ''),
+      value: setting.trim()
+    }));
+}
+
+const pdfFolderPath = process.env.DROPBOX_PDF_FOLDER_PATH || '/Apps/PDFs';
 
 const config = {
   dropbox: {
@@ -7,16 +43,66 @@ const config = {
     appKey: process.env.DROPBOX_APP_KEY,
     appSecret: process.env.DROPBOX_APP_SECRET,
     webhookSecret: process.env.DROPBOX_WEBHOOK_SECRET,
-    pdfFolderPath: process.env.DROPBOX_PDF_FOLDER_PATH || '/Apps/PDFs'
+    pdfFolderPath: pdfFolderPath,
+    // Folders tracked with list_folder cursors (comma separated, defaults to the PDF folder)
+    watchedFolders: (process.env.DROPBOX_WATCHED_FOLDERS || process.env.DROPBOX_PDF_FOLDER_PATH || '/Apps/PDFs')
+      .split(',')
+      .map(folder => folder.trim())
+      .filter(Boolean),
+    // What happens to the Notion page when its file is deleted: archive | status | ignore
+    deletedFileAction: process.env.DROPBOX_DELETED_FILE_ACTION || 'status',
+    // What happens when a file is moved or renamed: update (path and link) | archive | status | ignore
+    movedFileAction: process.env.DROPBOX_MOVED_FILE_ACTION || 'update',
+    // Files with the same content as an already processed file: skip | process
+    duplicateContentAction: process.env.DUPLICATE_CONTENT_ACTION || 'skip',
+    // Post-processing: move handled files out of the watched folder
+    archiveEnabled: process.env.DROPBOX_ARCHIVE_ENABLED === 'true',
+    processedFolder: process.env.DROPBOX_PROCESSED_FOLDER || `${pdfFolderPath}/Processed`,
+    failedFolder: process.env.DROPBOX_FAILED_FOLDER || `${pdfFolderPath}/Failed`,
+    // Date subfolders below the archive folders, e.g. "YYYY/MM" -> Processed/2026/10 (empty for none)
+    archiveSubfolderFormat: process.env.DROPBOX_ARCHIVE_SUBFOLDER_FORMAT || '',
+    // Rename processed files from the analysis, e.g. Scan_0001.pdf -> 2026-10-19_invoice_Acme_March_Invoice.pdf
+    renameEnabled: process.env.DROPBOX_RENAME_ENABLED === 'true',
+    renameTemplate: process.env.DROPBOX_RENAME_TEMPLATE || '{date}_{type}_{title}.{ext}'
   },
   
   notion: {
     apiKey: process.env.NOTION_API_KEY,
-    databaseId: process.env.NOTION_DATABASE_ID
+    databaseId: process.env.NOTION_DATABASE_ID,
+    // Which processed field goes into which Notion property
+    propertyMappingFile: process.env.NOTION_PROPERTY_MAPPING_FILE || path.join(__dirname, 'notion-mapping.json'),
+    // API client: Notion allows an average of ~3 requests per second per integration
+    requestsPerSecond: parseFloat(process.env.NOTION_REQUESTS_PER_SECOND) || 3,
+    maxRetries: parseInt(process.env.NOTION_MAX_RETRIES) || 5,
+    retryBaseDelayMs: parseInt(process.env.NOTION_RETRY_BASE_DELAY_MS) || 1000,
+    schemaCacheTtlMs: parseInt(process.env.NOTION_SCHEMA_CACHE_TTL_MS) || 5 * 60 * 1000,
+    // Status written by the "status" action when the source file is deleted or moved away
+    sourceDeletedStatus: process.env.NOTION_SOURCE_DELETED_STATUS || 'Source deleted',
+    // Status of pages published without an analysis (AI_INVALID_OUTPUT_ACTION=review)
+    needsReviewStatus: process.env.NOTION_NEEDS_REVIEW_STATUS || 'Needs review',
+    // Extra attempts for a batch of page content that still fails after the client's retries
+    blockBatchRetries: parseInt(process.env.NOTION_BLOCK_BATCH_RETRIES) || 2,
+    // With UPLOAD_FILES_TO_NOTION, also show the uploaded file as a pdf/image/file block at the top of the page
+    embedUploadedFile: process.env.NOTION_EMBED_UPLOADED_FILE !== 'false'
   },
   
   openai: {
-    apiKey: process.env.OPENAI_API_KEY
+    apiKey: process.env.OPENAI_API_KEY,
+    // For an OpenAI-compatible proxy or gateway (Azure, OpenRouter, ...)
+    baseUrl: process.env.OPENAI_BASE_URL || null
+  },
+
+  llm: {
+    // OpenAI-compatible providers by name, in addition to the built-in "openai", e.g.
+    // {"local": {"baseUrl": "http://localhost:11434/v1", "model": "llama3.1", "jsonMode": true, "pricing": {"input": 0, "output": 0}}}
+    providers: parseJsonEnv('LLM_PROVIDERS', {}),
+    // Provider per role; a request that fails is retried on the fallback provider
+    analysisProvider: process.env.ANALYSIS_PROVIDER || 'openai',
+    analysisFallbackProvider: process.env.ANALYSIS_FALLBACK_PROVIDER || null,
+    visionProvider: process.env.VISION_PROVIDER || 'openai',
+    visionFallbackProvider: process.env.VISION_FALLBACK_PROVIDER || null,
+    // Local models can be slow on long documents
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 10 * 60 * 1000
   },
   
   server: {
@@ -30,41 +116,159 @@ const config = {
     tempFolder: process.env.TEMPORARY_FOLDER || './temp'
   },
 
+  storage: {
+    // Persistent state (Dropbox cursors, etc.) that must survive restarts
+    dataFolder: process.env.DATA_FOLDER || './data'
+  },
+
+  cache: {
+    // Reuse extraction and analysis results for content that was processed before with the same
+    // provider, model and prompt version (stored under DATA_FOLDER/cache)
+    enabled: process.env.RESULT_CACHE_ENABLED !== 'false',
+    maxAgeDays: parseInt(process.env.RESULT_CACHE_MAX_AGE_DAYS) || 90
+  },
+
+  queue: {
+    // Background job worker: retries use exponential backoff, then jobs move to the dead-letter list
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+    retryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30000,
+    retryMaxDelayMs: parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 30 * 60 * 1000,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+    retentionDays: parseInt(process.env.JOB_RETENTION_DAYS) || 30
+  },
+
   documents: {
     // Vision model settings for GPT-4 Vision
     visionModel: process.env.VISION_MODEL || 'gpt-4o',
     visionMaxTokens: parseInt(process.env.VISION_MAX_TOKENS) || 4096,
     visionTemperature: parseFloat(process.env.VISION_TEMPERATURE) || 0.3,
     imageDetail: process.env.IMAGE_DETAIL || 'high',
+
+    // Scanned PDF fallback: pages with fewer characters than this are rasterized and OCRed
+    ocrMinCharsPerPage: parseInt(process.env.PDF_OCR_MIN_CHARS_PER_PAGE) || 20,
+    ocrRenderScale: parseFloat(process.env.PDF_OCR_RENDER_SCALE) || 2,
+    ocrMaxPages: parseInt(process.env.PDF_OCR_MAX_PAGES) || 50,
     
     // Document analysis settings
     documentAnalysisModel: process.env.DOCUMENT_ANALYSIS_MODEL || 'gpt-3.5-turbo',
     documentMaxTokens: parseInt(process.env.DOCUMENT_MAX_TOKENS) || 1000,
     documentTemperature: parseFloat(process.env.DOCUMENT_TEMPERATURE) || 0.3,
+
+    // Context windows (tokens) used to size analysis chunks for long documents
+    modelContextWindows: {
+      'gpt-3.5-turbo': 16385,
+      'gpt-4': 8192,
+      'gpt-4-turbo': 128000,
+      'gpt-4-turbo-preview': 128000,
+      'gpt-4o': 128000,
+      'gpt-4o-mini': 128000,
+      'gpt-4.1': 1047576,
+      'gpt-4.1-mini': 1047576,
+      ...parseJsonEnv('MODEL_CONTEXT_WINDOWS', {})
+    },
+    defaultContextWindow: parseInt(process.env.DEFAULT_CONTEXT_WINDOW) || 8192,
+    // Optional upper limit on analysis chunk size, below what the context window allows
+    analysisChunkTokens: parseInt(process.env.ANALYSIS_CHUNK_TOKENS) || null,
+
+    // Model responses are checked against the expected JSON structure; invalid ones are sent back for
+    // correction this many times. Output that is still invalid either fails the job ('fail') or is
+    // published without an analysis and with the "needs review" status ('review').
+    repairAttempts: parseInt(process.env.AI_REPAIR_ATTEMPTS) || 2,
+    invalidOutputAction: process.env.AI_INVALID_OUTPUT_ACTION || 'fail',
     
     // Custom prompts
+    // Replaces the vision OCR prompt template (kept for existing setups; prefer VISION_PROMPT_FOLDERS)
     extractionPrompt: process.env.EXTRACTION_PROMPT || null,
     
     // File upload settings
     uploadFilesToNotion: process.env.UPLOAD_FILES_TO_NOTION === 'true' || false
   },
 
+  classification: {
+    // Documents are classified into the types defined in this file, then type-specific fields are extracted
+    enabled: process.env.DOCUMENT_CLASSIFICATION_ENABLED !== 'false',
+    typesFile: process.env.DOCUMENT_TYPES_FILE || path.join(__dirname, 'document-types.json'),
+    sampleTokens: parseInt(process.env.CLASSIFICATION_SAMPLE_TOKENS) || 2000
+  },
+
+  prompts: {
+    // Versioned prompt templates (<name>.md); templates missing here are taken from config/prompts
+    folder: process.env.PROMPTS_FOLDER || path.join(__dirname, 'prompts'),
+    // Template per folder, e.g. /Apps/Contracts=contract-analysis (otherwise the document type's
+    // "analysisPrompt" from the document types file, then "analysis")
+    analysisFolderTemplates: parseFolderMap(process.env.ANALYSIS_PROMPT_FOLDERS),
+    // Vision OCR template per folder (otherwise "vision")
+    visionFolderTemplates: parseFolderMap(process.env.VISION_PROMPT_FOLDERS)
+  },
+
+  ocr: {
+    // Image text extraction: 'vision' (OpenAI), 'tesseract' (local) or 'auto' (Tesseract, escalating to vision)
+    provider: process.env.OCR_PROVIDER || 'vision',
+    folderProviders: parseFolderMap(process.env.OCR_FOLDER_PROVIDERS),
+    languages: process.env.OCR_LANGUAGES || 'eng',
+    // 0 is a valid threshold (never escalate)
+    confidenceThreshold: parseNumberEnv('OCR_CONFIDENCE_THRESHOLD', 70),
+    langPath: process.env.TESSERACT_LANG_PATH || null
+  },
+
+  searchablePdf: {
+    // Write OCR text back to Dropbox as an invisible text layer: 'off', 'sidecar' (a new PDF next to the
+    // original) or 'replace' (the original PDF gets the text layer; images always get a sidecar)
+    mode: process.env.SEARCHABLE_PDF_MODE || 'off',
+    folderModes: parseFolderMap(process.env.SEARCHABLE_PDF_FOLDER_MODES),
+    // Sidecar file name: "<name><suffix>.pdf"
+    suffix: process.env.SEARCHABLE_PDF_SUFFIX || '.searchable'
+  },
+
   logging: {
     level: process.env.LOG_LEVEL || 'info'
   },
 
-  // API rate limiting
+  costs: {
+    // Dollars per 1K tokens. MODEL_PRICING adds or overrides models, e.g. {"my-model": {"input": 0.001, "output": 0.002}}
+    modelPricing: {
+      'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+      'gpt-4': { input: 0.03, output: 0.06 },
+      'gpt-4-turbo': { input: 0.01, output: 0.03 },
+      'gpt-4-turbo-preview': { input: 0.01, output: 0.03 },
+      'gpt-4o': { input: 0.0025, output: 0.01 },
+      'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+      'gpt-4.1': { input: 0.002, output: 0.008 },
+      'gpt-4.1-mini': { input: 0.0004, output: 0.0016 },
+      'gpt-4.1-nano': { input: 0.0001, output: 0.0004 },
+      ...parseJsonEnv('MODEL_PRICING', {})
+    },
+    // Price assumed for models missing from the table
+    defaultPricing: parseJsonEnv('DEFAULT_MODEL_PRICING', { input: 0.0025, output: 0.01 }),
+    // Spending limits in dollars (days and months are UTC); unset means no limit, 0 is always used up
+    dailyBudget: parseNumberEnv('DAILY_BUDGET_USD', null),
+    monthlyBudget: parseNumberEnv('MONTHLY_BUDGET_USD', null),
+    // When a budget or DAILY_API_LIMIT is used up: 'pause' file jobs until the limit resets,
+    // or 'local-ocr' to keep going with Tesseract instead of the vision model
+    budgetAction: process.env.BUDGET_EXCEEDED_ACTION || 'pause',
+    // How long cost ledger entries are kept
+    retentionDays: parseInt(process.env.COST_LEDGER_RETENTION_DAYS) || 400
+  },
+
+  // API rate limiting: model requests per UTC day
   apiLimits: {
     dailyApiLimit: parseInt(process.env.DAILY_API_LIMIT) || 1000
   }
 };
 
 // Validation
+const usesOpenAI = [
+  config.llm.analysisProvider,
+  config.llm.analysisFallbackProvider,
+  config.llm.visionProvider,
+  config.llm.visionFallbackProvider
+].includes('openai');
+
 const requiredEnvVars = [
   'DROPBOX_ACCESS_TOKEN',
   'NOTION_API_KEY', 
   'NOTION_DATABASE_ID',
-  'OPENAI_API_KEY'
+  ...(usesOpenAI ? ['OPENAI_API_KEY'] : [])
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -12,22 +12,33 @@ async function setupDropboxFolders() {
     console.log(`   PDF: ${dropboxHandler.pdfFolderPath}`);
     console.log('');
     
-    // Test Dropbox connection
+    // Test Dropbox connection and stream the whole listing page by page,
+    // keeping only folder paths and per-folder file counts in memory
     console.log('🔗 Testing Dropbox connection...');
-    const allEntries = await dropboxHandler.listFiles();
-    console.log(`✅ Connected! Found ${allEntries.length} total entries`);
-    
-    // Check existing folders
-    const folders = allEntries.filter(entry => entry['.tag'] === 'folder');
-    console.log(`📂 Found ${folders.length} existing folders`);
+    const audioFolderLower = dropboxHandler.audioFolderPath?.toLowerCase();
+    const pdfFolderLower = dropboxHandler.pdfFolderPath.toLowerCase();
+    const folderPaths = new Set();
+    let totalEntries = 0;
+    let audioFileCount = 0;
+    let pdfFileCount = 0;
+
+    for await (const entry of dropboxHandler.iterateFolder('', { recursive: true })) {
+      totalEntries++;
+
+      if (entry['.tag'] === 'folder') {
+        folderPaths.add(entry.path_lower);
+      } else if (entry['.tag'] === 'file') {
+        if (audioFolderLower && entry.path_lower.startsWith(audioFolderLower)) audioFileCount++;
+        if (entry.path_lower.startsWith(pdfFolderLower)) pdfFileCount++;
+      }
+    }
+
+    console.log(`✅ Connected! Found ${totalEntries} total entries`);
+    console.log(`📂 Found ${folderPaths.size} existing folders`);
     
     // Check if our required folders exist
-    const audioFolderExists = folders.some(folder => 
-      folder.path_lower === dropboxHandler.audioFolderPath.toLowerCase()
-    );
-    const pdfFolderExists = folders.some(folder => 
-      folder.path_lower === dropboxHandler.pdfFolderPath.toLowerCase()
-    );
+    const audioFolderExists = !!audioFolderLower && folderPaths.has(audioFolderLower);
+    const pdfFolderExists = folderPaths.has(pdfFolderLower);
     
     console.log('\n📋 Folder status:');
     console.log(`   Audio folder: ${audioFolderExists ? '✅ EXISTS' : '❌ MISSING'}`);
@@ -50,21 +61,11 @@ async function setupDropboxFolders() {
     } else {
       console.log('\n✅ All required folders exist!');
       
-      // Check for files in the folders
-      const audioFiles = allEntries.filter(entry => 
-        entry['.tag'] === 'file' && 
-        entry.path_lower.startsWith(dropboxHandler.audioFolderPath.toLowerCase())
-      );
-      const pdfFiles = allEntries.filter(entry => 
-        entry['.tag'] === 'file' && 
-        entry.path_lower.startsWith(dropboxHandler.pdfFolderPath.toLowerCase())
-      );
-      
       console.log('\n📄 Files in folders:');
-      console.log(`   Audio files: ${audioFiles.length}`);
-      console.log(`   PDF files: ${pdfFiles.length}`);
+      console.log(`   Audio files: ${audioFileCount}`);
+      console.log(`   PDF files: ${pdfFileCount}`);
       
-      if (audioFiles.length === 0 && pdfFiles.length === 0) {
+      if (audioFileCount === 0 && pdfFileCount === 0) {
         console.log('\n💡 Tip: Upload some test files to trigger processing!');
         console.log('   - Audio files (mp3, wav, m4a) to the audio folder');
         console.log('   - PDF/image files to the PDF folder');
@@ -0,0 +1,177 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const { logger } = require('./utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC day (YYYY-MM-DD) and month (YYYY-MM) of a timestamp
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+const monthOf = (date) => new Date(date).toISOString().slice(0, 7);
+
+// Append-only record of every model request: tokens and dollars per document, stage and model.
+// Entries: { at, jobId, fileId, fileName, folder, stage, provider, model, inputTokens, outputTokens, cost }.
+// Budgets (DAILY_BUDGET_USD, MONTHLY_BUDGET_USD) and DAILY_API_LIMIT are checked against it.
+class CostLedger {
+  constructor() {
+    this.storePath = path.join(config.storage.dataFolder, 'costs.jsonl');
+    this.retentionDays = config.costs.retentionDays;
+    this.entries = [];
+    this.writeChain = Promise.resolve();
+  }
+
+  // Read the ledger and drop entries older than the retention window
+  async load() {
+    let content = '';
+    try {
+      content = await fs.readFile(this.storePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+    const entries = [];
+    let expired = 0;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (new Date(entry.at).getTime() < cutoff) {
+          expired++;
+        } else {
+          entries.push(entry);
+        }
+      } catch (error) {
+        logger.warn('Skipping corrupt line in cost ledger:', error.message);
+      }
+    }
+
+    this.entries = entries;
+    if (expired > 0) {
+      await this.compact();
+    }
+
+    logger.info(`Loaded ${this.entries.length} cost entries from ${this.storePath}`);
+  }
+
+  // Rewrite the ledger with the entries still kept
+  async compact() {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    const lines = this.entries.map(entry => JSON.stringify(entry));
+    const tempPath = `${this.storePath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    await fs.rename(tempPath, this.storePath);
+  }
+
+  // Record one model request (writes are serialized to keep order)
+  record(entry) {
+    const fullEntry = {
+      at: new Date().toISOString(),
+      ...entry,
+      cost: entry.cost || 0
+    };
+    this.entries.push(fullEntry);
+
+    this.writeChain = this.writeChain
+      .then(() => fs.mkdir(path.dirname(this.storePath), { recursive: true }))
+      .then(() => fs.appendFile(this.storePath, `${JSON.stringify(fullEntry)}\n`))
+      .catch(error => logger.error('Failed to write cost ledger entry:', error.message));
+
+    return this.writeChain;
+  }
+
+  // Spend and request count of the entries matching a filter
+  total(filter) {
+    return this.entries.filter(filter).reduce((sum, entry) => ({
+      cost: sum.cost + entry.cost,
+      requests: sum.requests + 1
+    }), { cost: 0, requests: 0 });
+  }
+
+  // Whether a budget or the daily request limit is used up. Returns { exceeded: false } or
+  // { exceeded: true, reason, resetsAt } with the start of the next UTC day or month.
+  checkBudget(now = new Date()) {
+    const today = this.total(entry => dayOf(entry.at) === dayOf(now));
+    const month = this.total(entry => monthOf(entry.at) === monthOf(now));
+    const nextDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    const { monthlyBudget, dailyBudget } = config.costs;
+    const dailyApiLimit = config.apiLimits.dailyApiLimit;
+
+    if (monthlyBudget !== null && month.cost >= monthlyBudget) {
+      return { exceeded: true, reason: `Monthly budget of $${monthlyBudget} is used up ($${month.cost.toFixed(4)} spent)`, resetsAt: nextMonth };
+    }
+    if (dailyBudget !== null && today.cost >= dailyBudget) {
+      return { exceeded: true, reason: `Daily budget of $${dailyBudget} is used up ($${today.cost.toFixed(4)} spent)`, resetsAt: nextDay };
+    }
+    if (dailyApiLimit && today.requests >= dailyApiLimit) {
+      return { exceeded: true, reason: `Daily API limit of ${dailyApiLimit} requests is reached`, resetsAt: nextDay };
+    }
+
+    return { exceeded: false };
+  }
+
+  // Spend grouped by a key, most expensive first
+  groupBy(entries, keyOf) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const key = keyOf(entry) || 'unknown';
+      const group = groups.get(key) || { key, cost: 0, requests: 0, inputTokens: 0, outputTokens: 0, files: new Set() };
+      group.cost += entry.cost;
+      group.requests += 1;
+      group.inputTokens += entry.inputTokens || 0;
+      group.outputTokens += entry.outputTokens || 0;
+      if (entry.fileId) group.files.add(entry.fileId);
+      groups.set(key, group);
+    }
+
+    return Array.from(groups.values()).map(({ files, ...group }) => ({ ...group, documents: files.size }));
+  }
+
+  // Spend over the last `days` days by day, folder, stage and model, with the budget status
+  getReport({ days = 30, now = new Date() } = {}) {
+    const cutoff = dayOf(now.getTime() - (days - 1) * DAY_MS);
+    const entries = this.entries.filter(entry => dayOf(entry.at) >= cutoff);
+    const today = this.total(entry => dayOf(entry.at) === dayOf(now));
+    const month = this.total(entry => monthOf(entry.at) === monthOf(now));
+    const byCost = (a, b) => b.cost - a.cost;
+
+    return {
+      days: days,
+      total: this.total(entry => dayOf(entry.at) >= cutoff),
+      today: today,
+      month: month,
+      budgets: {
+        daily: config.costs.dailyBudget,
+        monthly: config.costs.monthlyBudget,
+        dailyApiLimit: config.apiLimits.dailyApiLimit,
+        action: config.costs.budgetAction,
+        status: this.checkBudget(now)
+      },
+      byDay: this.groupBy(entries, entry => dayOf(entry.at))
+        .map(({ key, ...group }) => ({ date: key, ...group }))
+        .sort((a, b) => b.date.localeCompare(a.date)),
+      byFolder: this.groupBy(entries, entry => entry.folder)
+        .map(({ key, ...group }) => ({ folder: key, ...group }))
+        .sort(byCost),
+      byStage: this.groupBy(entries, entry => entry.stage)
+        .map(({ key, ...group }) => ({ stage: key, ...group }))
+        .sort(byCost),
+      byModel: this.groupBy(entries, entry => `${entry.provider}/${entry.model}`)
+        .map(({ key, ...group }) => ({ model: key, ...group }))
+        .sort(byCost)
+    };
+  }
+
+  // Spend of one job (all of its attempts), by stage
+  getJobCosts(jobId) {
+    const entries = this.entries.filter(entry => entry.jobId === jobId);
+    return this.groupBy(entries, entry => entry.stage).map(({ key, ...group }) => ({ stage: key, ...group }));
+  }
+}
+
+module.exports = CostLedger;
@@ -1,56 +1,167 @@
-const OpenAI = require('openai');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const pdfParse = require('pdf-parse');
+const { pdfToPng } = require('pdf-to-png-converter');
+const mammoth = require('mammoth');
 const config = require('../config/config');
-const { logger, estimateCost } = require('./utils');
+const { logger, resolveFolderSetting } = require('./utils');
+const { LlmProviders } = require('./llm-providers');
+const { validateSchema } = require('./json-schema');
+const { VisionExtractionProvider, TesseractExtractionProvider } = require('./extraction-providers');
+const { htmlToMarkdown } = require('./html-to-markdown');
+const { estimateTokens, getContextWindow, chunkPages } = require('./text-chunker');
+const { loadDocumentTypes, normalizeFieldValue } = require('./document-types');
+const ResultCache = require('./result-cache');
+const { renderPrompt, selectAnalysisTemplate, selectVisionTemplate, getAnalysisTemplateCandidates } = require('./prompt-templates');
+
+// Tokens reserved for the instructions wrapped around the document text
+const PROMPT_OVERHEAD_TOKENS = 600;
+
+// Version of the built-in classification, field extraction and merge prompts (the analysis and
+// vision prompts are versioned templates). Bump it when one of them changes so cached results
+// produced by the old prompts are not reused.
+const BUILT_IN_PROMPTS_VERSION = 1;
+
+// Expected shape of an analysis response (single request, chunk or merge)
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['title', 'keyPoints', 'summary'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    keyPoints: { type: 'array', items: { type: 'string' } },
+    summary: { type: 'string', minLength: 1 },
+    actionItems: { type: 'array', items: { type: 'string' } },
+    topics: { type: 'array', items: { type: 'string' } }
+  }
+};
 
 class DocumentProcessor {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
+    // Chat models for analysis and vision (OpenAI or OpenAI-compatible servers)
+    this.llm = new LlmProviders();
+
+    this.extractionProviders = {
+      vision: new VisionExtractionProvider(this.llm),
+      tesseract: new TesseractExtractionProvider()
+    };
+
+    // Extraction and analysis results by content hash, so unchanged content is not paid for twice
+    this.cache = new ResultCache();
   }
 
-  // Process a document (PDF or image)
-  async processDocument(filePath) {
+  // Process a document (PDF or image). options.onStage is called as the pipeline moves on to analysis,
+  // options.onUsage after every model request (tokens and cost, tagged with the pipeline stage).
+  // Results are cached by options.contentHash (hashed locally when missing); options.useCache=false bypasses the cache.
+  async processDocument(filePath, originalFileName = null, options = {}) {
+    const onStage = options.onStage || (async () => {});
+
     try {
       const fileExtension = path.extname(filePath).toLowerCase();
-      const fileName = path.basename(filePath);
+      const fileName = originalFileName || path.basename(filePath);
+      // The file name is available to prompt templates as {fileName}
+      const stageOptions = { ...options, fileName: fileName };
       
       logger.info(`Starting document processing for: ${fileName}`);
 
-      let extractedData;
-      
-      if (fileExtension === '.pdf') {
-        extractedData = await this.processPDF(filePath);
+      const contentHash = options.contentHash || await this.hashFile(filePath);
+      const useCache = options.useCache !== false;
+
+      const extractionSettings = this.getExtractionCacheSettings(fileExtension, options);
+      let extractedData = useCache ? await this.cache.get('extraction', contentHash, extractionSettings) : null;
+      const extractionCached = !!extractedData;
+
+      if (extractionCached) {
+        extractedData = {
+          ...extractedData,
+          cost: 0,
+          metadata: { ...extractedData.metadata, fileName: path.basename(filePath) }
+        };
+      } else {
+        if (fileExtension === '.pdf') {
+          extractedData = await this.processPDF(filePath, stageOptions);
+        } else if (fileExtension === '.docx') {
+          extractedData = await this.processWord(filePath);
+        } else if (fileExtension === '.doc') {
+          // mammoth only reads the Office Open XML format
+          const error = new Error(`Legacy Word .doc files are not supported (${fileName}). Save the file as .docx and upload it again.`);
+          error.retryable = false;
+          throw error;
+        } else {
+          // Image file
+          extractedData = await this.processImage(filePath, stageOptions);
+        }
+
+        // Pages whose OCR failed are retried the next time the file is processed
+        if (!extractedData.metadata.ocrFailedPages?.length) {
+          await this.cache.set('extraction', contentHash, extractionSettings, extractedData);
+        }
+      }
+
+      // Classify the document, then extract key information and type-specific fields using AI
+      await onStage('analyzing');
+      const analysisSettings = this.getAnalysisCacheSettings(extractedData.text, options.folderPath);
+      const cachedAnalysis = useCache ? await this.cache.get('analysis', contentHash, analysisSettings) : null;
+      let classification, analysis, typedFields;
+
+      if (cachedAnalysis) {
+        classification = { ...cachedAnalysis.classification, cost: 0 };
+        analysis = { ...cachedAnalysis.analysis, cost: 0 };
+        typedFields = { ...cachedAnalysis.typedFields, cost: 0 };
       } else {
-        // Image file
-        extractedData = await this.processImage(filePath);
+        classification = await this.classifyDocument(extractedData.text, stageOptions);
+        const analysisType = classification.type !== 'other' ? classification.type : extractedData.type;
+        analysis = await this.analyzeContent(extractedData.text, analysisType, extractedData.pages, {
+          ...stageOptions,
+          promptTemplate: selectAnalysisTemplate(options.folderPath, classification.type)
+        });
+        typedFields = await this.extractTypedFields(extractedData.text, extractedData.pages, classification.type, stageOptions);
+
+        // Analyses waiting for review and fallbacks after errors are not cached, so reprocessing asks the model again
+        if (!analysis.needsReview && !classification.failed && !typedFields.failed) {
+          await this.cache.set('analysis', contentHash, analysisSettings, { classification, analysis, typedFields });
+        }
       }
 
-      // Extract key information using AI
-      const analysis = await this.analyzeContent(extractedData.text, extractedData.type);
+      const totalCost = extractedData.cost + classification.cost + analysis.cost + typedFields.cost;
+      // Versions of the prompt templates that produced this result, stored with the page and in the file index
+      const prompts = {
+        analysis: analysis.promptVersion || null,
+        vision: extractedData.metadata.ocrPromptVersion || null
+      };
       
       logger.info(`Document processing completed successfully`);
       logger.info(`Extracted text length: ${extractedData.text.length} characters`);
-      logger.info(`Total cost: $${(extractedData.cost + analysis.cost).toFixed(4)}`);
+      logger.info(`Total cost: $${totalCost.toFixed(4)}`);
 
       return {
         text: extractedData.text,
         originalText: extractedData.text, // For Notion compatibility
         keyPoints: analysis.keyPoints,
         summary: analysis.summary,
-        generatedTitle: analysis.title || path.basename(filePath, path.extname(filePath)),
+        generatedTitle: analysis.title || path.basename(fileName, path.extname(fileName)),
         actionItems: analysis.actionItems || [],
         topics: analysis.topics || [],
         sentiment: 'neutral', // Default sentiment for documents
+        documentType: classification.type,
+        classificationConfidence: classification.confidence,
+        typedFields: typedFields.fields,
+        pages: extractedData.pages,
+        promptVersion: Object.values(prompts).filter(Boolean).join(', '),
+        ...(analysis.needsReview ? {
+          needsReview: true,
+          reviewReason: analysis.reviewReason,
+          status: config.notion.needsReviewStatus
+        } : {}),
         metadata: {
           ...extractedData.metadata,
           wordCount: extractedData.text.split(' ').length,
           characterCount: extractedData.text.length,
-          processingCost: extractedData.cost + analysis.cost,
-          documentType: extractedData.type
+          processingCost: totalCost,
+          documentType: extractedData.type,
+          analysisChunks: analysis.chunks,
+          prompts: prompts,
+          cached: { extraction: extractionCached, analysis: !!cachedAnalysis }
         }
       };
 
@@ -60,32 +171,109 @@ class DocumentProcessor {
     }
   }
 
-  // Process PDF files using pdf-parse
-  async processPDF(filePath) {
+  // SHA-256 of a file, used as the cache key when the caller has no content hash
+  async hashFile(filePath) {
+    const fileBuffer = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+  }
+
+  // Settings an extraction result depends on: the OCR provider and, for the ones it may use,
+  // the vision model and prompt version or the Tesseract languages
+  getExtractionCacheSettings(fileExtension, options = {}) {
+    const mode = this.getExtractionMode(options.folderPath, options.ocrProvider);
+    const [visionProvider] = this.llm.getProviders('vision');
+
+    return {
+      fileType: fileExtension,
+      ocr: mode,
+      vision: mode !== 'tesseract' ? {
+        provider: visionProvider ? visionProvider.name : null,
+        model: this.llm.getModel('vision'),
+        prompt: this.getVisionPrompt(options).version
+      } : null,
+      tesseract: mode !== 'vision' ? { languages: config.ocr.languages } : null,
+      confidenceThreshold: mode === 'auto' ? config.ocr.confidenceThreshold : null
+    };
+  }
+
+  // Settings an analysis result depends on: the extracted text, the analysis model, the versions of
+  // every template the folder may use, and the document types it can be classified as
+  getAnalysisCacheSettings(text, folderPath) {
+    const [analysisProvider] = this.llm.getProviders('analysis');
+
+    return {
+      textHash: crypto.createHash('sha256').update(text).digest('hex'),
+      promptVersion: BUILT_IN_PROMPTS_VERSION,
+      templates: getAnalysisTemplateCandidates(folderPath).map(template => template.id),
+      provider: analysisProvider ? analysisProvider.name : null,
+      model: this.llm.getModel('analysis'),
+      documentTypes: config.classification.enabled ? loadDocumentTypes() : null
+    };
+  }
+
+  // Prompt for vision OCR: EXTRACTION_PROMPT when set, otherwise the folder's vision template
+  getVisionPrompt(options = {}) {
+    if (config.documents.extractionPrompt) {
+      return { text: config.documents.extractionPrompt, version: 'EXTRACTION_PROMPT' };
+    }
+
+    const template = selectVisionTemplate(options.folderPath);
+    const prompt = renderPrompt(template, { fileName: options.fileName, folder: options.folderPath });
+    return { text: prompt.user, version: template.id };
+  }
+
+  // Process PDF files using pdf-parse, falling back to OCR for pages without a text layer
+  async processPDF(filePath, options = {}) {
     try {
       logger.info('Processing PDF with pdf-parse library');
       
       const fileBuffer = await fs.readFile(filePath);
       
-      // Use pdf-parse to extract text from PDF
-      const pdfData = await pdfParse(fileBuffer);
-      const extractedText = pdfData.text;
-      
-      logger.info(`PDF text extraction completed. Pages: ${pdfData.numpages}, Text length: ${extractedText.length} characters`);
+      // Use pdf-parse to extract text from PDF, keeping each page's text separately
+      const pageTexts = [];
+      const pdfData = await pdfParse(fileBuffer, {
+        pagerender: async (pageData) => {
+          const text = await this.renderPageText(pageData);
+          pageTexts[pageData.pageNumber - 1] = text;
+          return text;
+        }
+      });
+
+      const pages = [];
+      for (let pageNumber = 1; pageNumber <= pdfData.numpages; pageNumber++) {
+        pages.push({ pageNumber: pageNumber, text: pageTexts[pageNumber - 1] || '', source: 'text' });
+      }
+
+      logger.info(`PDF text extraction completed. Pages: ${pdfData.numpages}, Text length: ${pdfData.text.length} characters`);
 
-      const cost = 0.001; // Minimal cost for pdf-parse processing
+      // Scanned pages have little or no text layer; rasterize and OCR them
+      const ocr = await this.ocrScannedPages(fileBuffer, pages, options);
+      const extractedText = pages
+        .map(page => page.text.trim())
+        .filter(Boolean)
+        .join('\n\n');
+
+      // Nothing to analyze when every scanned page failed (e.g. the vision model is down): retry later
+      if (ocr.failedPages.length > 0 && !extractedText) {
+        throw new Error(`OCR failed for every scanned page (${ocr.failedPages.join(', ')}) and the PDF has no text layer`);
+      }
 
       return {
         text: extractedText,
         type: 'pdf',
+        pages: pages,
         metadata: {
           fileName: path.basename(filePath),
           fileSize: fileBuffer.length,
           processedAt: new Date().toISOString(),
           numPages: pdfData.numpages,
+          ocrPages: ocr.pageNumbers,
+          ocrFailedPages: ocr.failedPages,
+          ocrProviders: ocr.providers,
+          ocrPromptVersion: ocr.promptVersion,
           info: pdfData.info || {}
         },
-        cost: cost
+        cost: ocr.cost
       };
     } catch (error) {
       logger.error('PDF processing error:', error);
@@ -93,57 +281,146 @@ class DocumentProcessor {
     }
   }
 
-  // Process image files
-  async processImage(filePath) {
+  // Same text layout as pdf-parse's default page renderer (a new line whenever the baseline changes)
+  async renderPageText(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      if (lastY === item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+    return text;
+  }
+
+  // Check whether a page has too little extractable text to be useful
+  needsOcr(pageText) {
+    return pageText.replace(/\s/g, '').length < config.documents.ocrMinCharsPerPage;
+  }
+
+  // Rasterize pages with an empty text layer and replace their text with OCR output (in place).
+  // Pages whose OCR fails keep their text layer and are listed in failedPages.
+  async ocrScannedPages(fileBuffer, pages, options = {}) {
+    const scannedPages = pages.filter(page => this.needsOcr(page.text));
+
+    if (scannedPages.length === 0) {
+      return { pageNumbers: [], failedPages: [], providers: [], promptVersion: null, cost: 0 };
+    }
+
+    const maxPages = config.documents.ocrMaxPages;
+    if (scannedPages.length > maxPages) {
+      logger.warn(`${scannedPages.length} pages have no text layer, only the first ${maxPages} will be OCRed (PDF_OCR_MAX_PAGES)`);
+    }
+
+    const pagesToProcess = scannedPages.slice(0, maxPages).map(page => page.pageNumber);
+    logger.info(`Rasterizing ${pagesToProcess.length} scanned page(s) for OCR: ${pagesToProcess.join(', ')}`);
+
+    const images = await pdfToPng(fileBuffer, {
+      pagesToProcess: pagesToProcess,
+      viewportScale: config.documents.ocrRenderScale,
+      verbosityLevel: 0
+    });
+
+    let cost = 0;
+    let promptVersion = null;
+    const pageNumbers = [];
+    const failedPages = [];
+    const providers = new Set();
+
+    for (const image of images) {
+      const page = pages[image.pageNumber - 1];
+      let result;
+
+      // A failed page keeps its text layer; the other pages and the OCR already paid for are not lost
+      try {
+        result = await this.extractTextFromImage(image.content, 'image/png', options);
+      } catch (error) {
+        logger.error(`OCR failed for page ${image.pageNumber}, keeping its text layer:`, error.message);
+        failedPages.push(image.pageNumber);
+        continue;
+      }
+
+      // Keep whatever text layer the page had if OCR found nothing better
+      if (result.text.trim().length > page.text.trim().length) {
+        page.text = result.text;
+        page.source = 'ocr';
+      }
+
+      cost += result.cost;
+      pageNumbers.push(image.pageNumber);
+      providers.add(result.provider);
+      promptVersion = result.promptVersion || promptVersion;
+    }
+
+    logger.info(`OCR completed for ${pageNumbers.length} page(s)${failedPages.length > 0 ? `, failed for page(s) ${failedPages.join(', ')}` : ''}`);
+    return { pageNumbers, failedPages, providers: Array.from(providers), promptVersion, cost };
+  }
+
+  // Process Word (.docx) files with mammoth, keeping headings, lists and tables as Markdown
+  async processWord(filePath) {
     try {
+      logger.info('Processing Word document with mammoth');
+
       const fileBuffer = await fs.readFile(filePath);
-      const base64Image = fileBuffer.toString('base64');
-      const mimeType = this.getMimeType(path.extname(filePath));
-      
-      logger.info('Processing image with AI vision model');
-      
-      const response = await this.openai.chat.completions.create({
-        model: config.documents.visionModel,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: config.documents.extractionPrompt || 
-                      "Extract all text content from this image. If this is a document, maintain the structure. If it contains tables, preserve the table format. Include all visible text."
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:${mimeType};base64,${base64Image}`,
-                  detail: config.documents.imageDetail
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: config.documents.visionMaxTokens,
-        temperature: config.documents.visionTemperature
+      const result = await mammoth.convertToHtml({ buffer: fileBuffer }, {
+        // Embedded images are not useful in the extracted text
+        convertImage: mammoth.images.imgElement(() => ({ src: '' }))
       });
 
-      const extractedText = response.choices[0].message.content;
-      const cost = estimateCost(
-        response.usage.prompt_tokens,
-        response.usage.completion_tokens,
-        config.documents.visionModel
-      );
+      for (const message of result.messages) {
+        logger.warn(`mammoth ${message.type}: ${message.message}`);
+      }
+
+      const extractedText = htmlToMarkdown(result.value);
+      logger.info(`Word text extraction completed. Text length: ${extractedText.length} characters`);
 
       return {
         text: extractedText,
+        type: 'docx',
+        pages: [{ pageNumber: 1, text: extractedText, source: 'text' }],
+        metadata: {
+          fileName: path.basename(filePath),
+          fileSize: fileBuffer.length,
+          processedAt: new Date().toISOString()
+        },
+        cost: 0
+      };
+    } catch (error) {
+      logger.error('Word processing error:', error);
+      throw error;
+    }
+  }
+
+  // Process image files
+  async processImage(filePath, options = {}) {
+    try {
+      const fileBuffer = await fs.readFile(filePath);
+      const mimeType = this.getMimeType(path.extname(filePath));
+      
+      const result = await this.extractTextFromImage(fileBuffer, mimeType, options);
+
+      return {
+        text: result.text,
         type: 'image',
+        pages: [{ pageNumber: 1, text: result.text, source: 'ocr' }],
         metadata: {
           fileName: path.basename(filePath),
           fileSize: fileBuffer.length,
           mimeType: mimeType,
-          processedAt: new Date().toISOString()
+          processedAt: new Date().toISOString(),
+          ocrProvider: result.provider,
+          ocrConfidence: result.confidence,
+          ocrPromptVersion: result.promptVersion || null
         },
-        cost: cost
+        cost: result.cost
       };
     } catch (error) {
       logger.error('Image processing error:', error);
@@ -151,71 +428,412 @@ class DocumentProcessor {
     }
   }
 
-  // Analyze extracted content to get key points and summary
-  async analyzeContent(text, documentType) {
+  // Pick the extraction provider for a folder: 'vision', 'tesseract' or 'auto'.
+  // An override (e.g. 'tesseract' once the budget is used up) wins over the folder setting.
+  getExtractionMode(folderPath, override = null) {
+    const mode = override || resolveFolderSetting(config.ocr.folderProviders, folderPath, config.ocr.provider);
+
+    if (!['vision', 'tesseract', 'auto'].includes(mode)) {
+      logger.warn(`Unknown OCR provider "${mode}", using vision`);
+      return 'vision';
+    }
+    return mode;
+  }
+
+  // Extract text from an image buffer. In 'auto' mode Tesseract runs first and the
+  // vision model is only used when OCR confidence is below the configured threshold.
+  async extractTextFromImage(imageBuffer, mimeType, options = {}) {
+    const mode = this.getExtractionMode(options.folderPath, options.ocrProvider);
+    const context = { stage: 'ocr', onUsage: options.onUsage };
+    const visionContext = () => {
+      const prompt = this.getVisionPrompt(options);
+      return { ...context, prompt: prompt.text, promptVersion: prompt.version };
+    };
+
+    if (mode !== 'auto') {
+      return await this.extractionProviders[mode].extract(imageBuffer, mimeType, mode === 'vision' ? visionContext() : context);
+    }
+
     try {
-      const systemPrompt = `You are an AI assistant that analyzes ${documentType} content and extracts key information.`;
-      
-      const userPrompt = config.documents.extractionPrompt || 
-        `Analyze the following text and provide:
-1. A suitable title for this document
-2. A list of key points (bullet points)
-3. A brief summary (2-3 sentences)
-4. Any action items or tasks mentioned
-5. Main topics or themes discussed
+      const result = await this.extractionProviders.tesseract.extract(imageBuffer, mimeType);
 
-Format your response as JSON with the following structure:
-{
-  "title": "Document title",
-  "keyPoints": ["point 1", "point 2", ...],
-  "summary": "Brief summary here",
-  "actionItems": ["action 1", "action 2", ...],
-  "topics": ["topic 1", "topic 2", ...]
-}
+      if (result.confidence >= config.ocr.confidenceThreshold) {
+        return result;
+      }
 
-Text to analyze:
-${text}`;
-
-      const response = await this.openai.chat.completions.create({
-        model: config.documents.documentAnalysisModel,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ],
-        max_tokens: config.documents.documentMaxTokens,
-        temperature: config.documents.documentTemperature,
-        response_format: { type: "json_object" }
-      });
+      logger.info(`Tesseract confidence ${Math.round(result.confidence)} is below ${config.ocr.confidenceThreshold}, escalating to vision model`);
+    } catch (error) {
+      logger.warn('Tesseract OCR failed, escalating to vision model:', error.message);
+    }
 
-      const analysis = JSON.parse(response.choices[0].message.content);
-      const cost = estimateCost(
-        response.usage.prompt_tokens,
-        response.usage.completion_tokens,
-        config.documents.documentAnalysisModel
-      );
+    return await this.extractionProviders.vision.extract(imageBuffer, mimeType, visionContext());
+  }
+
+  // Analyze extracted content to get key points and summary.
+  // Text that does not fit the analysis model's context window is summarized chunk by chunk
+  // (map) and the partial results are merged into the final analysis (reduce).
+  // The prompt comes from options.promptTemplate, or the template selected for the folder and type.
+  async analyzeContent(text, documentType, pages = null, options = {}) {
+    const promptTemplate = options.promptTemplate || selectAnalysisTemplate(options.folderPath, documentType);
+    const promptOptions = { ...options, promptTemplate };
+
+    try {
+      const model = this.llm.getModel('analysis');
+      const chunkTokens = this.getAnalysisChunkTokens(model);
+      const documentPages = pages && pages.length > 0 ? pages : [{ pageNumber: 1, text: text }];
+
+      if (estimateTokens(text) <= chunkTokens) {
+        const result = await this.analyzeText(text, documentType, promptOptions);
+        const lastPage = documentPages[documentPages.length - 1].pageNumber;
+
+        return {
+          ...result,
+          promptVersion: promptTemplate.id,
+          chunks: [{ index: 0, startPage: documentPages[0]?.pageNumber ?? 1, endPage: lastPage, tokens: estimateTokens(text) }]
+        };
+      }
+
+      const chunks = chunkPages(documentPages, chunkTokens);
+      logger.info(`Text is ~${estimateTokens(text)} tokens, analyzing in ${chunks.length} chunks of up to ${chunkTokens} tokens`);
+
+      // Map: summarize each chunk on its own
+      const partials = [];
+      let cost = 0;
+      for (const chunk of chunks) {
+        logger.info(`Analyzing chunk ${chunk.index + 1}/${chunks.length} (pages ${chunk.startPage}-${chunk.endPage})`);
+        const partial = await this.analyzeChunk(chunk, chunks.length, documentType, promptOptions);
+        partials.push(partial.result);
+        cost += partial.cost;
+      }
+
+      // Reduce: merge the chunk summaries into the final analysis
+      const merged = await this.mergeAnalyses(partials, documentType, chunkTokens, options);
+      cost += merged.cost;
 
       return {
-        title: analysis.title || '',
-        keyPoints: analysis.keyPoints || [],
-        summary: analysis.summary || '',
-        actionItems: analysis.actionItems || [],
-        topics: analysis.topics || [],
-        cost: cost
+        ...merged.result,
+        cost: cost,
+        promptVersion: promptTemplate.id,
+        chunks: chunks.map(chunk => ({
+          index: chunk.index,
+          startPage: chunk.startPage,
+          endPage: chunk.endPage,
+          tokens: chunk.tokens
+        }))
       };
     } catch (error) {
       logger.error('Content analysis error:', error);
-      // Return default structure on error
+
+      // Model output that could not be repaired fails the job, or with AI_INVALID_OUTPUT_ACTION=review
+      // the document is published without an analysis for someone to check. Nothing is made up.
+      if (!error.invalidOutput || config.documents.invalidOutputAction !== 'review') {
+        throw error;
+      }
+
       return {
-        title: 'Error',
-        keyPoints: ['Error extracting key points'],
-        summary: 'Error generating summary',
+        title: '',
+        keyPoints: [],
+        summary: '',
         actionItems: [],
         topics: [],
-        cost: 0
+        cost: error.cost || 0,
+        promptVersion: promptTemplate.id,
+        chunks: [],
+        needsReview: true,
+        reviewReason: error.message
       };
     }
   }
 
+  // Classify a document into one of the configured document types (or 'other')
+  async classifyDocument(text, options = {}) {
+    const types = loadDocumentTypes();
+    const typeNames = Object.keys(types);
+
+    if (!config.classification.enabled || typeNames.length === 0 || !text.trim()) {
+      return { type: 'other', confidence: null, cost: 0 };
+    }
+
+    try {
+      // The beginning of a document is enough to tell what kind of document it is
+      const sample = text.slice(0, config.classification.sampleTokens * 4);
+      const typeList = typeNames
+        .map(name => `- ${name}: ${types[name].description}`)
+        .join('\n');
+
+      const systemPrompt = 'You are an AI assistant that classifies documents by type.';
+      const userPrompt = `Classify the following document as one of these types:
+${typeList}
+- other: anything that does not fit the types above
+
+Format your response as JSON with the following structure:
+{
+  "type": "one of: ${[...typeNames, 'other'].join(', ')}",
+  "confidence": 0.0 to 1.0
+}
+
+Document:
+${sample}`;
+
+      const { data, cost } = await this.requestAnalysisJson(systemPrompt, userPrompt, {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string', enum: [...typeNames, 'other'] },
+          confidence: { type: ['number', 'null'] }
+        }
+      }, { stage: 'classification', onUsage: options.onUsage });
+      const type = typeNames.includes(data.type) ? data.type : 'other';
+      const confidence = typeof data.confidence === 'number' ? data.confidence : null;
+
+      logger.info(`Classified document as ${type}${confidence !== null ? ` (confidence ${confidence})` : ''}`);
+      return { type, confidence, cost };
+    } catch (error) {
+      logger.error('Document classification error:', error);
+      // Failed and repair attempts were still paid for
+      return { type: 'other', confidence: null, cost: error.cost || 0, failed: true };
+    }
+  }
+
+  // Extract the fields declared for a document type. Long documents are processed chunk by chunk;
+  // the first value found for a field wins and array values are combined.
+  async extractTypedFields(text, pages, documentType, options = {}) {
+    const definition = loadDocumentTypes()[documentType];
+
+    if (!definition || Object.keys(definition.fields).length === 0) {
+      return { fields: {}, cost: 0 };
+    }
+
+    const fieldList = Object.entries(definition.fields)
+      .map(([name, field]) => `- ${name} (${field.type}${field.type === 'date' ? ', YYYY-MM-DD' : ''}): ${field.description}`)
+      .join('\n');
+    const template = Object.keys(definition.fields).reduce((result, name) => ({ ...result, [name]: null }), {});
+
+    const documentPages = pages && pages.length > 0 ? pages : [{ pageNumber: 1, text: text }];
+    const chunks = chunkPages(documentPages, this.getAnalysisChunkTokens(this.llm.getModel('analysis')));
+    const fields = { ...template };
+    let cost = 0;
+
+    try {
+      for (const chunk of chunks) {
+        const systemPrompt = `You are an AI assistant that extracts structured data from ${documentType} documents.`;
+        const userPrompt = `Extract these fields from the ${documentType} below:
+${fieldList}
+
+Use null for any field that is not present. Do not guess.
+Format your response as JSON with exactly these keys:
+${JSON.stringify(template, null, 2)}
+
+${chunks.length > 1 ? `Text (pages ${chunk.startPage}-${chunk.endPage}):` : 'Text:'}
+${chunk.text}`;
+
+        const result = await this.requestAnalysisJson(systemPrompt, userPrompt, {
+          type: 'object',
+          required: Object.keys(template)
+        }, { stage: 'fields', onUsage: options.onUsage });
+        cost += result.cost;
+
+        for (const [name, field] of Object.entries(definition.fields)) {
+          const value = normalizeFieldValue(result.data[name], field.type);
+          if (value === null) continue;
+
+          if (field.type === 'array') {
+            fields[name] = Array.from(new Set([...(fields[name] || []), ...value]));
+          } else if (fields[name] === null) {
+            fields[name] = value;
+          }
+        }
+      }
+
+      logger.info(`Extracted ${Object.values(fields).filter(value => value !== null).length} ${documentType} fields`);
+      return { fields, cost };
+    } catch (error) {
+      logger.error(`Typed field extraction error for ${documentType}:`, error);
+      return { fields, cost: cost + (error.cost || 0), failed: true };
+    }
+  }
+
+  // How many tokens of document text fit in one analysis request for a model
+  getAnalysisChunkTokens(model) {
+    const available = getContextWindow(model) - config.documents.documentMaxTokens - PROMPT_OVERHEAD_TOKENS;
+    const configured = config.documents.analysisChunkTokens;
+    const chunkTokens = configured ? Math.min(configured, available) : available;
+
+    return Math.max(chunkTokens, 500);
+  }
+
+  // Analyze a document that fits in a single request, with the prompt template in options.promptTemplate
+  async analyzeText(text, documentType, options = {}) {
+    const prompt = renderPrompt(options.promptTemplate, {
+      text: text,
+      documentType: documentType,
+      fileName: options.fileName,
+      folder: options.folderPath
+    });
+    const systemPrompt = prompt.system || `You are an AI assistant that analyzes ${documentType} content and extracts key information.`;
+
+    const { data, cost } = await this.requestAnalysisJson(systemPrompt, prompt.user, ANALYSIS_SCHEMA, {
+      stage: 'analysis',
+      onUsage: options.onUsage
+    });
+    return { ...this.normalizeAnalysis(data), cost };
+  }
+
+  // Map step: summarize one chunk of a long document with the same prompt template
+  async analyzeChunk(chunk, totalChunks, documentType, options = {}) {
+    const prompt = renderPrompt(options.promptTemplate, {
+      text: chunk.text,
+      documentType: documentType,
+      fileName: options.fileName,
+      folder: options.folderPath
+    });
+    const systemPrompt = prompt.system || `You are an AI assistant that analyzes ${documentType} content and extracts key information.`;
+    const userPrompt = `The following is part ${chunk.index + 1} of ${totalChunks} of a longer document (pages ${chunk.startPage}-${chunk.endPage}).
+Analyze only this part. The title should fit the whole document, as far as this part suggests one.
+
+${prompt.user}`;
+
+    const { data, cost } = await this.requestAnalysisJson(systemPrompt, userPrompt, ANALYSIS_SCHEMA, {
+      stage: 'analysis',
+      onUsage: options.onUsage
+    });
+    return {
+      result: { ...this.normalizeAnalysis(data), startPage: chunk.startPage, endPage: chunk.endPage },
+      cost
+    };
+  }
+
+  // Reduce step: merge partial analyses, in groups if they do not fit in one request
+  async mergeAnalyses(partials, documentType, chunkTokens, options = {}) {
+    let cost = 0;
+    let current = partials;
+
+    while (current.length > 1) {
+      const groups = [];
+      let group = [];
+      let groupTokens = 0;
+
+      for (const partial of current) {
+        const tokens = estimateTokens(JSON.stringify(partial));
+        if (group.length > 0 && groupTokens + tokens > chunkTokens) {
+          groups.push(group);
+          group = [];
+          groupTokens = 0;
+        }
+        group.push(partial);
+        groupTokens += tokens;
+      }
+      groups.push(group);
+
+      // A group that cannot be split further would loop forever, so merge pairwise
+      if (groups.length === current.length) {
+        groups.length = 0;
+        for (let i = 0; i < current.length; i += 2) {
+          groups.push(current.slice(i, i + 2));
+        }
+      }
+
+      const merged = [];
+      for (const partialGroup of groups) {
+        if (partialGroup.length === 1) {
+          merged.push(partialGroup[0]);
+          continue;
+        }
+        const result = await this.mergeAnalysisGroup(partialGroup, documentType, options);
+        merged.push(result.result);
+        cost += result.cost;
+      }
+      current = merged;
+    }
+
+    return { result: current[0], cost };
+  }
+
+  // Merge one group of partial analyses into a single analysis
+  async mergeAnalysisGroup(partials, documentType, options = {}) {
+    const systemPrompt = `You are an AI assistant that analyzes ${documentType} content and extracts key information.`;
+    const userPrompt = `A long document was analyzed in parts. Merge the partial analyses below (in page order) into one analysis of the whole document:
+1. One suitable title for the whole document
+2. The most important key points, without duplicates
+3. A brief summary of the whole document (3-5 sentences)
+4. All action items, without duplicates
+5. The main topics or themes
+
+Format your response as JSON with the following structure:
+{
+  "title": "Document title",
+  "keyPoints": ["point 1", "point 2", ...],
+  "summary": "Brief summary here",
+  "actionItems": ["action 1", "action 2", ...],
+  "topics": ["topic 1", "topic 2", ...]
+}
+
+Partial analyses:
+${JSON.stringify(partials, null, 2)}`;
+
+    const { data, cost } = await this.requestAnalysisJson(systemPrompt, userPrompt, ANALYSIS_SCHEMA, {
+      stage: 'analysis',
+      onUsage: options.onUsage
+    });
+    const first = partials[0];
+    const last = partials[partials.length - 1];
+
+    return {
+      result: { ...this.normalizeAnalysis(data), startPage: first.startPage, endPage: last.endPage },
+      cost
+    };
+  }
+
+  // Send a prompt to the analysis model (ANALYSIS_PROVIDER, with fallback) and check its JSON response
+  // against the schema. Malformed or incomplete output is sent back with the problems found, up to
+  // AI_REPAIR_ATTEMPTS times; after that an error with invalidOutput set is thrown.
+  // context ({ stage, onUsage }) is passed on so every request, repairs included, reaches the cost ledger.
+  async requestAnalysisJson(systemPrompt, userPrompt, schema, context = {}) {
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+    let cost = 0;
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.llm.chatJson(messages, context);
+      cost += response.cost;
+
+      const errors = response.parseError ? [response.parseError] : validateSchema(response.data, schema);
+      if (errors.length === 0) {
+        return { data: response.data, cost };
+      }
+
+      if (attempt >= config.documents.repairAttempts) {
+        const error = new Error(`Model output is still invalid after ${attempt} repair attempt(s): ${errors.join('; ')}`);
+        error.invalidOutput = true;
+        error.cost = cost;
+        throw error;
+      }
+
+      logger.warn(`Model output is invalid (${errors.join('; ')}), asking the model to correct it`);
+      messages.push(
+        { role: 'assistant', content: response.content },
+        {
+          role: 'user',
+          content: `Your response is not valid: ${errors.join('; ')}.
+Reply with the corrected JSON object only, with the structure requested above and every required field filled in.`
+        }
+      );
+    }
+  }
+
+  // Fill in missing fields of an analysis result
+  normalizeAnalysis(analysis) {
+    return {
+      title: analysis.title || '',
+      keyPoints: analysis.keyPoints || [],
+      summary: analysis.summary || '',
+      actionItems: analysis.actionItems || [],
+      topics: analysis.topics || []
+    };
+  }
+
   // Get MIME type for image files
   getMimeType(extension) {
     const mimeTypes = {
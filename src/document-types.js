@@ -0,0 +1,84 @@
+const fs = require('fs');
+const config = require('../config/config');
+const { logger } = require('./utils');
+
+const FIELD_TYPES = ['string', 'number', 'date', 'boolean', 'array'];
+
+let cachedTypes = null;
+
+// Load document type definitions (name -> { description, fields, analysisPrompt }) from the JSON config file
+function loadDocumentTypes() {
+  if (cachedTypes) {
+    return cachedTypes;
+  }
+
+  try {
+    const definitions = JSON.parse(fs.readFileSync(config.classification.typesFile, 'utf8'));
+    cachedTypes = {};
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      const fields = {};
+
+      for (const [fieldName, field] of Object.entries(definition.fields || {})) {
+        const type = field.type || 'string';
+        if (!FIELD_TYPES.includes(type)) {
+          logger.warn(`Document type "${name}": field "${fieldName}" has unknown type "${type}", treating it as string`);
+        }
+        fields[fieldName] = {
+          type: FIELD_TYPES.includes(type) ? type : 'string',
+          description: field.description || ''
+        };
+      }
+
+      cachedTypes[name] = {
+        description: definition.description || '',
+        fields,
+        // Prompt template used to analyze documents of this type (see prompt-templates.js)
+        analysisPrompt: definition.analysisPrompt || null
+      };
+    }
+
+    logger.info(`Loaded ${Object.keys(cachedTypes).length} document types from ${config.classification.typesFile}`);
+  } catch (error) {
+    logger.error(`Failed to load document types from ${config.classification.typesFile}:`, error.message);
+    cachedTypes = {};
+  }
+
+  return cachedTypes;
+}
+
+// Convert a value returned by the model to the declared field type (null when it cannot be converted)
+function normalizeFieldValue(value, type) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  switch (type) {
+    case 'number': {
+      if (typeof value === 'number') return value;
+      // Drop currency symbols and thousands separators, e.g. "$1,234.50"
+      const parsed = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+      return Number.isNaN(parsed) ? null : parsed;
+    }
+    case 'date': {
+      if (/^\d{4}-\d{2}-\d{2}/.test(String(value))) return String(value).slice(0, 10);
+
+      // Format in local time so "March 3, 2026" does not shift a day through UTC conversion
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return null;
+      const pad = number => String(number).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : ['true', 'yes', '1'].includes(String(value).toLowerCase());
+    case 'array':
+      return (Array.isArray(value) ? value : [value]).map(item => String(item)).filter(Boolean);
+    default:
+      return String(value);
+  }
+}
+
+module.exports = {
+  loadDocumentTypes,
+  normalizeFieldValue
+};
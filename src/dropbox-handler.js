@@ -4,7 +4,7 @@ const fsPromises = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const config = require('../config/config');
-const { logger, ensureTempDir, cleanupTempFile, isValidAudioFormat, isValidFileSize, sanitizeFilename, generateUniqueFilename } = require('./utils');
+const { logger, ensureTempDir, cleanupTempFile, isValidAudioFormat, isValidFileSize, sanitizeFilename, generateUniqueFilename, readJsonFile, writeJsonFile } = require('./utils');
 
 class DropboxHandler {
   constructor() {
@@ -15,7 +15,12 @@ class DropboxHandler {
     this.webhookSecret = config.dropbox.webhookSecret;
     this.audioFolderPath = config.dropbox.folderPath;
     this.pdfFolderPath = config.dropbox.pdfFolderPath;
-    this.recentlyProcessedFiles = new Set();
+    this.watchedFolders = config.dropbox.watchedFolders;
+    this.cursorStorePath = path.join(config.storage.dataFolder, 'dropbox-cursors.json');
+    this.archiveFolders = {
+      processed: config.dropbox.processedFolder,
+      failed: config.dropbox.failedFolder
+    };
   }
 
   // Refresh Dropbox access token
@@ -105,21 +110,68 @@ class DropboxHandler {
     }
   }
 
+  // Iterate over list_folder result pages, following has_more/cursor until the listing is complete.
+  // Pass either { path, recursive } to start a listing or { cursor } to continue one.
+  async *iterateListFolderPages({ path: folderPath, recursive = false, cursor = null }) {
+    let response = cursor
+      ? await this.makeAuthenticatedRequest({
+          method: 'POST',
+          url: 'https://api.dropboxapi.com/2/files/list_folder/continue',
+          data: { cursor: cursor }
+        })
+      : await this.makeAuthenticatedRequest({
+          method: 'POST',
+          url: 'https://api.dropboxapi.com/2/files/list_folder',
+          data: { path: folderPath, recursive: recursive, limit: 2000 }
+        });
+
+    yield {
+      entries: response.data.entries || [],
+      cursor: response.data.cursor,
+      hasMore: response.data.has_more
+    };
+
+    while (response.data.has_more) {
+      response = await this.makeAuthenticatedRequest({
+        method: 'POST',
+        url: 'https://api.dropboxapi.com/2/files/list_folder/continue',
+        data: { cursor: response.data.cursor }
+      });
+
+      yield {
+        entries: response.data.entries || [],
+        cursor: response.data.cursor,
+        hasMore: response.data.has_more
+      };
+    }
+  }
+
+  // Stream every entry in a folder without holding the whole listing in memory
+  async *iterateFolder(folderPath, { recursive = false } = {}) {
+    for await (const page of this.iterateListFolderPages({ path: folderPath, recursive })) {
+      yield* page.entries;
+    }
+  }
+
+  // Stream document files from the Dropbox PDF folder
+  async *iterateDocumentFiles(folderPath = this.pdfFolderPath) {
+    for await (const entry of this.iterateFolder(folderPath)) {
+      if (this.isDocumentEntry(entry)) {
+        yield entry;
+      }
+    }
+  }
+
   // List all files from Dropbox (generic method for scripts)
   async listFiles() {
     try {
       logger.info('Listing all files from Dropbox root');
-      
-      const response = await this.makeAuthenticatedRequest({
-        method: 'POST',
-        url: 'https://api.dropboxapi.com/2/files/list_folder',
-        data: {
-          path: '',
-          recursive: true
-        }
-      });
 
-      const entries = response.data.entries || [];
+      const entries = [];
+      for await (const entry of this.iterateFolder('', { recursive: true })) {
+        entries.push(entry);
+      }
+
       logger.info(`Found ${entries.length} total entries in Dropbox`);
       return entries;
     } catch (error) {
@@ -132,32 +184,11 @@ class DropboxHandler {
   async listDocumentFiles() {
     try {
       logger.info(`Listing document files from Dropbox folder: ${this.pdfFolderPath}`);
-      
-      const response = await this.makeAuthenticatedRequest({
-        method: 'POST',
-        url: 'https://api.dropboxapi.com/2/files/list_folder',
-        data: {
-          path: this.pdfFolderPath,
-          recursive: false
-        }
-      });
 
-      const files = response.data.entries || [];
-      const documentExtensions = ['pdf', 'jpg', 'jpeg', 'png', 'bmp', 'tiff', 'tif', 'webp', 'docx', 'doc'];
-      
-      const documentFiles = files.filter(entry => {
-        if (entry['.tag'] !== 'file') return false;
-        
-        const extension = entry.name.toLowerCase().split('.').pop();
-        const isDocumentFile = documentExtensions.includes(extension);
-        
-        logger.info(`🔍 Document extension check: "${entry.name}" (${extension}) = ${isDocumentFile}`);
-        if (isDocumentFile) {
-          logger.info(`✅ Document file found: ${entry.name} (${extension})`);
-        }
-        
-        return isDocumentFile;
-      });
+      const documentFiles = [];
+      for await (const entry of this.iterateDocumentFiles()) {
+        documentFiles.push(entry);
+      }
 
       logger.info(`Found ${documentFiles.length} document files in Dropbox folder`);
       return documentFiles;
@@ -224,7 +255,9 @@ class DropboxHandler {
         size: metadata.size,
         server_modified: metadata.server_modified,
         path_display: metadata.path_display,
-        id: metadata.id
+        id: metadata.id,
+        rev: metadata.rev,
+        content_hash: metadata.content_hash
       };
     } catch (error) {
       logger.error(`Failed to get metadata for ${dropboxPath}:`, error.response?.data || error.message);
@@ -232,6 +265,143 @@ class DropboxHandler {
     }
   }
 
+  // Move a file; with autorename Dropbox picks a free name instead of failing on a conflict.
+  // Missing parent folders are created by Dropbox. Returns the metadata at the new location.
+  async moveFile(fromPath, toPath, { autorename = true } = {}) {
+    try {
+      const response = await this.makeAuthenticatedRequest({
+        method: 'POST',
+        url: 'https://api.dropboxapi.com/2/files/move_v2',
+        data: {
+          from_path: fromPath,
+          to_path: toPath,
+          autorename: autorename
+        }
+      });
+
+      const metadata = response.data.metadata;
+      logger.info(`Moved ${fromPath} to ${metadata.path_display}`);
+      return metadata;
+    } catch (error) {
+      logger.error(`Failed to move ${fromPath} to ${toPath}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Upload a file (up to 150 MB, the limit for a single upload request). mode is 'add', 'overwrite'
+  // or { '.tag': 'update', update: rev } to replace a file only if it is still at that revision.
+  // Returns the metadata of the uploaded file.
+  async uploadFile(dropboxPath, buffer, { mode = 'add', autorename = true } = {}) {
+    try {
+      const response = await this.makeAuthenticatedRequest({
+        method: 'POST',
+        url: 'https://content.dropboxapi.com/2/files/upload',
+        headers: {
+          'Dropbox-API-Arg': JSON.stringify({ path: dropboxPath, mode: mode, autorename: autorename, mute: true }),
+          'Content-Type': 'application/octet-stream'
+        },
+        data: buffer,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+
+      logger.info(`Uploaded ${response.data.path_display} (${buffer.length} bytes)`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to upload ${dropboxPath}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Archive folder for processed or failed files, including the date subfolder if configured (UTC,
+  // like the cost ledger)
+  getArchiveFolder(kind, date = new Date()) {
+    const baseFolder = this.archiveFolders[kind];
+    if (!baseFolder) {
+      throw new Error(`Unknown archive folder: ${kind}`);
+    }
+
+    const format = config.dropbox.archiveSubfolderFormat;
+    if (!format) {
+      return baseFolder;
+    }
+
+    const pad = number => String(number).padStart(2, '0');
+    const subfolder = format
+      .replace(/YYYY/g, String(date.getUTCFullYear()))
+      .replace(/MM/g, pad(date.getUTCMonth() + 1))
+      .replace(/DD/g, pad(date.getUTCDate()));
+
+    return path.posix.join(baseFolder, subfolder);
+  }
+
+  // Whether a path is already inside one of the archive folders
+  isInArchiveFolder(dropboxPath, kind) {
+    const folder = this.archiveFolders[kind].toLowerCase();
+    const pathLower = dropboxPath.toLowerCase();
+    return pathLower === folder || pathLower.startsWith(`${folder}/`);
+  }
+
+  // File name from the rename template. Placeholders: {date} (today, UTC), {type}, {title}, {name} (current
+  // name without extension), {ext}, or any field of the processed document such as {typedFields.vendor}.
+  // Returns null when the template produces no usable name.
+  buildFileName(currentName, documentData, template = config.dropbox.renameTemplate) {
+    const extension = path.posix.extname(currentName);
+    const pad = number => String(number).padStart(2, '0');
+    const today = new Date();
+
+    const values = {
+      date: `${today.getUTCFullYear()}-${pad(today.getUTCMonth() + 1)}-${pad(today.getUTCDate())}`,
+      type: documentData.documentType || 'document',
+      title: documentData.generatedTitle,
+      name: path.posix.basename(currentName, extension),
+      ext: extension.slice(1).toLowerCase()
+    };
+
+    const rendered = template.replace(/\{([\w.]+)\}/g, (match, key) => {
+      const value = key in values
+        ? values[key]
+        : key.split('.').reduce((current, part) => (current === undefined || current === null ? undefined : current[part]), documentData);
+      return value === undefined || value === null ? '' : String(value);
+    });
+
+    // The original extension is always kept, so strip it from the rendered name if the template included it
+    let baseName = sanitizeFilename(rendered);
+    if (extension && baseName.toLowerCase().endsWith(extension.toLowerCase())) {
+      baseName = baseName.slice(0, -extension.length);
+    }
+
+    // Drop separators left next to empty placeholders, e.g. "2026-10-19_invoice_"
+    baseName = baseName.replace(/^[_.-]+|[_.-]+$/g, '');
+    if (!baseName) {
+      return null;
+    }
+
+    // Dropbox allows 255 characters per name; keep the original extension
+    return `${baseName.slice(0, 200)}${extension.toLowerCase()}`;
+  }
+
+  // Look up a file by its Dropbox id (ids survive moves and renames). Returns null if it was deleted.
+  async findFileById(fileId) {
+    try {
+      const response = await this.makeAuthenticatedRequest({
+        method: 'POST',
+        url: 'https://api.dropboxapi.com/2/files/get_metadata',
+        data: {
+          path: fileId
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.error?.path?.['.tag'] === 'not_found') {
+        return null;
+      }
+      logger.error(`Failed to look up file ${fileId}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   // Create shareable link for a file
   async createShareableLink(dropboxPath) {
     try {
@@ -277,80 +447,134 @@ class DropboxHandler {
     }
   }
 
-  // Process Dropbox webhook notification for documents only
-  async processWebhookNotification(notification) {
+  // Load persisted list_folder cursors, keyed by lowercased folder path
+  async loadCursors() {
+    return await readJsonFile(this.cursorStorePath, {});
+  }
+
+  // Persist the list_folder cursor for a watched folder
+  async saveCursor(folderPath, cursor) {
+    const cursors = await this.loadCursors();
+    cursors[folderPath.toLowerCase()] = {
+      cursor: cursor,
+      updatedAt: new Date().toISOString()
+    };
+    await writeJsonFile(this.cursorStorePath, cursors);
+  }
+
+  // Forget the cursor for a folder (or all folders) so the next sync rebuilds from scratch
+  async resetCursor(folderPath = null) {
+    const cursors = await this.loadCursors();
+    const folders = folderPath ? [folderPath] : this.watchedFolders;
+
+    for (const folder of folders) {
+      delete cursors[folder.toLowerCase()];
+      logger.info(`Reset Dropbox cursor for folder: ${folder}`);
+    }
+
+    await writeJsonFile(this.cursorStorePath, cursors);
+    return folders;
+  }
+
+  // List every change in a folder since the stored cursor.
+  // Without a cursor (first run or after a reset) the whole folder is listed.
+  async listFolderChanges(folderPath) {
+    const cursors = await this.loadCursors();
+    const stored = cursors[folderPath.toLowerCase()];
+    const entries = [];
+    let cursor = null;
+
+    if (stored?.cursor) {
+      logger.info(`Listing changes for ${folderPath} since stored cursor`);
+    } else {
+      logger.info(`No cursor stored for ${folderPath}, listing folder from scratch`);
+    }
+
+    try {
+      const pages = stored?.cursor
+        ? this.iterateListFolderPages({ cursor: stored.cursor })
+        : this.iterateListFolderPages({ path: folderPath });
+
+      for await (const page of pages) {
+        entries.push(...page.entries);
+        cursor = page.cursor;
+      }
+    } catch (error) {
+      // Dropbox invalidates cursors occasionally; start over when that happens
+      if (stored?.cursor && error.response?.status === 409 && error.response?.data?.error?.['.tag'] === 'reset') {
+        logger.warn(`Dropbox reset the cursor for ${folderPath}, rebuilding from scratch`);
+        await this.resetCursor(folderPath);
+        return await this.listFolderChanges(folderPath);
+      }
+      throw error;
+    }
+
+    logger.info(`Found ${entries.length} changed entries in ${folderPath}`);
+    return { entries, cursor };
+  }
+
+  // Check whether a list_folder entry is a supported document file
+  isDocumentEntry(entry) {
+    if (entry['.tag'] !== 'file') return false;
+
+    // Searchable copies written by this service are not documents to process
+    if (entry.name.toLowerCase().endsWith(`${config.searchablePdf.suffix}.pdf`.toLowerCase())) return false;
+
+    const extension = entry.name.toLowerCase().split('.').pop();
+    const documentExtensions = ['pdf', 'jpg', 'jpeg', 'png', 'bmp', 'tiff', 'tif', 'webp', 'docx', 'doc'];
+    return documentExtensions.includes(extension);
+  }
+
+  // Process Dropbox webhook notification for documents only.
+  // onChanges(folderPath, documentFiles, entries) is awaited before the folder's cursor is
+  // advanced, so changes are never lost if the handler fails or the process stops.
+  async processWebhookNotification(notification, onChanges) {
     try {
       logger.info('Processing Dropbox webhook notification for documents', { 
         listFolder: notification.list_folder 
       });
 
-      logger.info('Checking Dropbox folder for document files after webhook notification');
-      
-      const documentFiles = await this.listDocumentFiles();
-      
-      logger.info(`Found ${documentFiles.length} document files to process`);
-      
-      // Filter for recently modified files (within last 30 minutes for consistency)
-      const thirtyMinutesAgo = new Date(Date.now() - 30 * 60 * 1000);
-      const recentFiles = documentFiles.filter(file => {
-        const modifiedTime = new Date(file.server_modified);
-        const isRecent = modifiedTime > thirtyMinutesAgo;
-        
-        logger.info(`File ${file.name}: modified ${modifiedTime.toISOString()}, recent: ${isRecent}`);
-        
-        return isRecent;
-      });
+      const changedFiles = [];
 
-      logger.info(`Found ${recentFiles.length} recently modified document files`);
+      for (const folderPath of this.watchedFolders) {
+        const { entries, cursor } = await this.listFolderChanges(folderPath);
+        const documentFiles = entries
+          .filter(entry => this.isDocumentEntry(entry))
+          .map(entry => this.toFileInfo(entry, folderPath));
 
-      // Process each recent file
-      const processedFiles = [];
-      for (const file of recentFiles) {
-        try {
-          logger.info(`Processing document file: ${file.name}`);
-          
-          // Check if file was recently processed
-          if (this.recentlyProcessedFiles.has(file.id)) {
-            logger.info(`⏭️ File ${file.name} was recently processed, skipping`);
-            continue;
-          }
+        logger.info(`Found ${documentFiles.length} changed document files in ${folderPath}`);
 
-          // Download the file
-          const localPath = await this.downloadFile(file.path_display, file.name);
-          
-          // Create shareable link
-          const shareableUrl = await this.createShareableLink(file.path_display);
-          
-          // Add to recently processed set
-          this.recentlyProcessedFiles.add(file.id);
-          
-          // Clean up after 5 minutes
-          setTimeout(() => {
-            this.recentlyProcessedFiles.delete(file.id);
-          }, 5 * 60 * 1000);
-
-          processedFiles.push({
-            originalPath: file.path_display,
-            localPath: localPath,
-            fileName: file.name,
-            fileType: 'document',
-            size: file.size,
-            serverModified: file.server_modified,
-            shareableUrl: shareableUrl
-          });
-
-        } catch (error) {
-          logger.error(`Failed to process document file ${file.name}:`, error.message);
+        if (onChanges) {
+          await onChanges(folderPath, documentFiles, entries);
         }
+        changedFiles.push(...documentFiles);
+
+        // Only advance the cursor once this batch of changes has been handled
+        await this.saveCursor(folderPath, cursor);
       }
 
-      logger.info(`Successfully processed ${processedFiles.length} document files from Dropbox`);
-      return processedFiles;
+      logger.info(`Found ${changedFiles.length} changed document files in Dropbox`);
+      return changedFiles;
     } catch (error) {
       logger.error('Error processing Dropbox webhook notification:', error.message);
       throw error;
     }
   }
+
+  // Convert a list_folder/get_metadata entry into the file info used by the pipeline
+  toFileInfo(entry, folderPath = null) {
+    return {
+      id: entry.id,
+      originalPath: entry.path_display,
+      folderPath: folderPath || path.posix.dirname(entry.path_display),
+      fileName: entry.name,
+      fileType: 'document',
+      size: entry.size,
+      serverModified: entry.server_modified,
+      rev: entry.rev,
+      contentHash: entry.content_hash
+    };
+  }
 }
 
 module.exports = DropboxHandler; 
\ No newline at end of file
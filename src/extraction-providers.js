@@ -0,0 +1,90 @@
+const path = require('path');
+const config = require('../config/config');
+const { logger } = require('./utils');
+
+// Extracts text from images with a vision model (VISION_PROVIDER; usually costs money and sends the image off-machine)
+class VisionExtractionProvider {
+  constructor(llm) {
+    this.name = 'vision';
+    this.llm = llm;
+  }
+
+  // context.prompt is the rendered vision prompt (context.promptVersion is returned with the text);
+  // context.stage and context.onUsage report the request's tokens and cost to the caller
+  async extract(imageBuffer, mimeType, context = {}) {
+    logger.info('Processing image with AI vision model');
+
+    const { prompt, promptVersion, ...usageContext } = context;
+    if (!prompt) {
+      throw new Error('No prompt given for vision text extraction');
+    }
+
+    const response = await this.llm.chatWithImage(prompt, imageBuffer, mimeType, usageContext);
+
+    return {
+      text: response.text,
+      confidence: null,
+      provider: this.name,
+      model: response.model,
+      promptVersion: promptVersion || null,
+      cost: response.cost
+    };
+  }
+}
+
+// Extracts text locally with tesseract.js (free, nothing leaves the machine)
+class TesseractExtractionProvider {
+  constructor() {
+    this.name = 'tesseract';
+    this.languages = config.ocr.languages;
+    this.workerPromise = null;
+  }
+
+  // Workers are expensive to start (they load the language data), so one is shared
+  async getWorker() {
+    if (!this.workerPromise) {
+      const { createWorker } = require('tesseract.js');
+
+      logger.info(`Starting Tesseract worker for languages: ${this.languages}`);
+      this.workerPromise = createWorker(this.languages, 1, {
+        cachePath: path.join(config.storage.dataFolder, 'tesseract'),
+        ...(config.ocr.langPath ? { langPath: config.ocr.langPath } : {})
+      }).catch(error => {
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+
+    return await this.workerPromise;
+  }
+
+  async extract(imageBuffer) {
+    logger.info('Processing image with local Tesseract OCR');
+
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(imageBuffer);
+
+    logger.info(`Tesseract OCR finished with confidence ${Math.round(data.confidence)}`);
+
+    return {
+      text: data.text || '',
+      confidence: data.confidence,
+      provider: this.name,
+      model: `tesseract:${this.languages}`,
+      cost: 0
+    };
+  }
+
+  async terminate() {
+    if (this.workerPromise) {
+      const worker = await this.workerPromise;
+      await worker.terminate();
+      this.workerPromise = null;
+    }
+  }
+}
+
+module.exports = {
+  VisionExtractionProvider,
+  TesseractExtractionProvider
+};
@@ -0,0 +1,180 @@
+const path = require('path');
+const config = require('../config/config');
+const { logger, readJsonFile, writeJsonFile } = require('./utils');
+
+// Older versions kept per file (shown in the page's "Previous versions" toggle)
+const MAX_VERSIONS = 10;
+
+// Local record of every processed Dropbox file, keyed by Dropbox file id:
+// the rev/content_hash that was processed, the Notion page it went to and earlier versions.
+class FileIndex {
+  constructor() {
+    this.storePath = path.join(config.storage.dataFolder, 'file-index.json');
+    this.entries = new Map();
+    this.writeChain = Promise.resolve();
+  }
+
+  // Read the index from disk
+  async load() {
+    const stored = await readJsonFile(this.storePath, {});
+    this.entries = new Map(Object.entries(stored));
+    logger.info(`Loaded ${this.entries.size} files from ${this.storePath}`);
+  }
+
+  // Write the index to disk; writes are serialized so concurrent updates cannot interleave
+  async save() {
+    const snapshot = Object.fromEntries(this.entries);
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(() => writeJsonFile(this.storePath, snapshot));
+    await this.writeChain;
+  }
+
+  get(fileId) {
+    return fileId ? this.entries.get(fileId) || null : null;
+  }
+
+  findByPath(dropboxPath) {
+    const pathLower = (dropboxPath || '').toLowerCase();
+    return Array.from(this.entries.values()).find(entry => (entry.path || '').toLowerCase() === pathLower) || null;
+  }
+
+  findByPageId(pageId) {
+    return Array.from(this.entries.values()).find(entry => entry.pageId === pageId) || null;
+  }
+
+  // Another file that was published with the same content
+  findByContentHash(contentHash, excludeId = null) {
+    if (!contentHash) return null;
+    return Array.from(this.entries.values()).find(entry =>
+      entry.contentHash === contentHash && entry.id !== excludeId && entry.pageId && !entry.deletedAt
+    ) || null;
+  }
+
+  // Indexed files at a path or anywhere below it (deleting a folder reports only the folder)
+  findUnderPath(dropboxPath) {
+    const pathLower = (dropboxPath || '').toLowerCase();
+    return Array.from(this.entries.values()).filter(entry => {
+      const entryPath = (entry.path || '').toLowerCase();
+      return entryPath === pathLower || entryPath.startsWith(`${pathLower}/`);
+    });
+  }
+
+  // Record a new location after a move or rename
+  async updatePath(fileId, dropboxPath) {
+    const entry = this.get(fileId);
+    if (!entry) return null;
+
+    entry.path = dropboxPath;
+    entry.movedAt = new Date().toISOString();
+    await this.save();
+    return entry;
+  }
+
+  // Record a revision written by this service (e.g. a text layer added to the PDF), so the
+  // resulting Dropbox change is not processed as new content
+  async updateRevision(fileId, { rev, contentHash }) {
+    const entry = this.get(fileId);
+    if (!entry) return null;
+
+    entry.rev = rev || entry.rev;
+    entry.contentHash = contentHash || entry.contentHash;
+    await this.save();
+    return entry;
+  }
+
+  // Mark a file whose source was deleted (its page is kept, e.g. with a "Source deleted" status)
+  async markDeleted(fileId) {
+    const entry = this.get(fileId);
+    if (!entry) return null;
+
+    entry.deletedAt = new Date().toISOString();
+    await this.save();
+    return entry;
+  }
+
+  // Forget a file entirely (e.g. after its page was archived)
+  async remove(fileId) {
+    this.entries.delete(fileId);
+    await this.save();
+  }
+
+  // Whether the file is the same revision that was last processed.
+  // content_hash is preferred because a rename or restore changes the rev but not the content.
+  isUnchanged(entry, fileInfo) {
+    if (!entry || entry.deletedAt) return false;
+    if (entry.contentHash && fileInfo.contentHash) return entry.contentHash === fileInfo.contentHash;
+    if (entry.rev && fileInfo.rev) return entry.rev === fileInfo.rev;
+    return false;
+  }
+
+  // Snapshot of what is currently on the page, followed by older versions (newest first)
+  getVersionHistory(entry) {
+    if (!entry) return [];
+
+    const current = {
+      rev: entry.rev,
+      contentHash: entry.contentHash,
+      serverModified: entry.serverModified,
+      processedAt: entry.processedAt,
+      title: entry.title,
+      summary: entry.summary,
+      prompts: entry.prompts || null
+    };
+
+    return [current, ...(entry.versions || [])].slice(0, MAX_VERSIONS);
+  }
+
+  // Record a file that was skipped because its content is already on another file's page.
+  // It has no page of its own, so moving or deleting it never touches the original page.
+  async recordDuplicate(fileInfo, duplicateOf) {
+    const entry = {
+      id: fileInfo.id,
+      path: fileInfo.originalPath,
+      rev: fileInfo.rev || null,
+      contentHash: fileInfo.contentHash || null,
+      serverModified: fileInfo.serverModified || null,
+      pageId: null,
+      duplicateOf: duplicateOf,
+      processedAt: new Date().toISOString(),
+      deletedAt: null,
+      versions: []
+    };
+
+    this.entries.set(fileInfo.id, entry);
+    await this.save();
+    return entry;
+  }
+
+  // Record that a file revision was published to a Notion page, with the prompt template
+  // versions that produced it ({ analysis, vision })
+  async recordProcessed(fileInfo, { pageId, title = null, summary = null, prompts = null }) {
+    const existing = this.get(fileInfo.id);
+    // Only revisions that had a page of their own become previous versions
+    const changed = existing?.pageId && !this.isUnchanged(existing, fileInfo);
+
+    const entry = {
+      id: fileInfo.id,
+      path: fileInfo.originalPath,
+      rev: fileInfo.rev || null,
+      contentHash: fileInfo.contentHash || null,
+      serverModified: fileInfo.serverModified || null,
+      pageId: pageId,
+      title: title,
+      summary: summary,
+      prompts: prompts,
+      processedAt: new Date().toISOString(),
+      deletedAt: null,
+      duplicateOf: null,
+      versions: changed ? this.getVersionHistory(existing) : (existing?.versions || [])
+    };
+
+    this.entries.set(fileInfo.id, entry);
+    await this.save();
+    return entry;
+  }
+}
+
+FileIndex.MAX_VERSIONS = MAX_VERSIONS;
+
+module.exports = FileIndex;
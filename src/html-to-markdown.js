@@ -0,0 +1,209 @@
+// Minimal HTML to Markdown conversion for the HTML that mammoth produces from Word files
+// (headings, paragraphs, nested lists, tables, bold/italic/strikethrough, links and line breaks).
+
+const VOID_TAGS = ['br', 'img', 'hr'];
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+// Decode the HTML entities mammoth emits
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      // Malformed references (out of range or a lone surrogate) are left as they are
+      const valid = !Number.isNaN(code) && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+      return valid ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Parse an HTML fragment into a simple tree of { tag, attrs, children } and text nodes
+function parseHtml(html) {
+  const root = { tag: 'root', attrs: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<\/?([a-z0-9]+)([^>]*)>|([^<]+)/gi;
+  let match;
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const current = stack[stack.length - 1];
+
+    if (match[3] !== undefined) {
+      current.children.push({ text: decodeEntities(match[3]) });
+      continue;
+    }
+
+    const tag = match[1].toLowerCase();
+
+    if (match[0].startsWith('</')) {
+      // Close the nearest matching open tag
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tag === tag) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+
+    const attrs = {};
+    const attrPattern = /([a-z-]+)="([^"]*)"/gi;
+    let attrMatch;
+    while ((attrMatch = attrPattern.exec(match[2])) !== null) {
+      attrs[attrMatch[1].toLowerCase()] = decodeEntities(attrMatch[2]);
+    }
+
+    const node = { tag, attrs, children: [] };
+    current.children.push(node);
+
+    if (!VOID_TAGS.includes(tag) && !match[2].trim().endsWith('/')) {
+      stack.push(node);
+    }
+  }
+
+  return root;
+}
+
+// Render inline content (text and formatting) on a single logical line
+function renderInline(node) {
+  if (node.text !== undefined) {
+    return node.text.replace(/\s+/g, ' ');
+  }
+
+  const content = node.children.map(renderInline).join('');
+
+  switch (node.tag) {
+    case 'strong':
+    case 'b':
+      return content.trim() ? `**${content}**` : content;
+    case 'em':
+    case 'i':
+      return content.trim() ? `*${content}*` : content;
+    case 's':
+    case 'del':
+      return content.trim() ? `~~${content}~~` : content;
+    case 'a':
+      return node.attrs.href && !node.attrs.href.startsWith('#') ? `[${content}](${node.attrs.href})` : content;
+    case 'br':
+      return '\n';
+    case 'img':
+      return '';
+    default:
+      return content;
+  }
+}
+
+// Render a list, indenting nested lists below their parent item
+function renderList(node, depth) {
+  const ordered = node.tag === 'ol';
+  const indent = '  '.repeat(depth);
+  const lines = [];
+  let index = 1;
+
+  for (const item of node.children) {
+    if (item.tag !== 'li') continue;
+
+    const inlineChildren = item.children.filter(child => child.tag !== 'ul' && child.tag !== 'ol');
+    const nestedLists = item.children.filter(child => child.tag === 'ul' || child.tag === 'ol');
+    const marker = ordered ? `${index}.` : '-';
+    const text = inlineChildren.map(child => renderBlockAsInline(child)).join(' ').trim();
+
+    lines.push(`${indent}${marker} ${text}`);
+    for (const nested of nestedLists) {
+      lines.push(renderList(nested, depth + 1));
+    }
+    index++;
+  }
+
+  return lines.join('\n');
+}
+
+// Paragraphs inside list items and table cells are flattened onto one line
+function renderBlockAsInline(node) {
+  if (node.text !== undefined) return renderInline(node);
+  if (node.tag === 'p') return node.children.map(renderInline).join('').trim();
+  return renderInline(node);
+}
+
+// Render a table as a Markdown pipe table (the first row is used as the header)
+function renderTable(node) {
+  const rows = [];
+
+  const collectRows = (parent) => {
+    for (const child of parent.children) {
+      if (child.tag === 'tr') {
+        rows.push(child.children
+          .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+          .map(cell => cell.children
+            .map(renderBlockAsInline)
+            .join(' ')
+            .replace(/\n/g, ' ')
+            .replace(/\|/g, '\\|')
+            .trim()));
+      } else if (child.children) {
+        collectRows(child);
+      }
+    }
+  };
+  collectRows(node);
+
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const pad = row => [...row, ...Array(width - row.length).fill('')];
+  const formatRow = row => `| ${pad(row).join(' | ')} |`;
+
+  return [
+    formatRow(rows[0]),
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...rows.slice(1).map(formatRow)
+  ].join('\n');
+}
+
+// Render block-level nodes separated by blank lines
+function renderBlocks(node) {
+  const blocks = [];
+
+  for (const child of node.children) {
+    if (child.text !== undefined) {
+      if (child.text.trim()) blocks.push(child.text.trim());
+      continue;
+    }
+
+    const headingMatch = child.tag.match(/^h([1-6])$/);
+
+    if (headingMatch) {
+      blocks.push(`${'#'.repeat(Number(headingMatch[1]))} ${child.children.map(renderInline).join('').trim()}`);
+    } else if (child.tag === 'ul' || child.tag === 'ol') {
+      blocks.push(renderList(child, 0));
+    } else if (child.tag === 'table') {
+      blocks.push(renderTable(child));
+    } else if (child.tag === 'p') {
+      const text = child.children.map(renderInline).join('').trim();
+      if (text) blocks.push(text);
+    } else if (['div', 'section', 'article', 'blockquote'].includes(child.tag)) {
+      blocks.push(renderBlocks(child));
+    } else {
+      const text = renderInline(child).trim();
+      if (text) blocks.push(text);
+    }
+  }
+
+  return blocks.filter(Boolean).join('\n\n');
+}
+
+// Convert an HTML fragment to Markdown
+function htmlToMarkdown(html) {
+  return renderBlocks(parseHtml(html || ''));
+}
+
+module.exports = {
+  htmlToMarkdown
+};
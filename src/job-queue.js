@@ -0,0 +1,419 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const { logger } = require('./utils');
+
+// Job lifecycle: queued -> downloading -> extracting -> analyzing -> publishing -> done,
+// or failed once the job has used up its attempts (failed jobs form the dead-letter list).
+// Queued jobs can also be cancelled before the worker picks them up. A picked-up job carries
+// startedAt until its attempt ends, since it stays 'queued' until the handler reports its first stage.
+const JOB_STATES = ['queued', 'downloading', 'extracting', 'analyzing', 'publishing', 'done', 'failed', 'cancelled'];
+const ACTIVE_STATES = ['downloading', 'extracting', 'analyzing', 'publishing'];
+const FINAL_STATES = ['done', 'failed', 'cancelled'];
+
+class JobQueue {
+  constructor() {
+    this.storePath = path.join(config.storage.dataFolder, 'jobs.jsonl');
+    this.maxAttempts = config.queue.maxAttempts;
+    this.retryBaseDelayMs = config.queue.retryBaseDelayMs;
+    this.retryMaxDelayMs = config.queue.retryMaxDelayMs;
+    this.pollIntervalMs = config.queue.pollIntervalMs;
+    this.retentionDays = config.queue.retentionDays;
+
+    this.jobs = new Map();
+    this.handler = null;
+    this.onDeadLetter = null;
+    this.timer = null;
+    this.running = false;
+    this.busy = false;
+    // Interrupted jobs that used their last attempt while loading; their dead-letter hook runs on start()
+    this.pendingDeadLetters = [];
+    this.writeChain = Promise.resolve();
+  }
+
+  // Replay the append-only job log. The last line written for a job is its current state.
+  async load() {
+    let content = '';
+    try {
+      content = await fs.readFile(this.storePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const job = JSON.parse(line);
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        logger.warn('Skipping corrupt line in job log:', error.message);
+      }
+    }
+
+    // Jobs that were mid-run when the process stopped count as a failed attempt
+    for (const job of this.jobs.values()) {
+      if (this.isStarted(job)) {
+        const stage = ACTIVE_STATES.includes(job.status) ? job.status : 'starting';
+        logger.warn(`Job ${job.id} was interrupted while ${stage}, requeueing`);
+        this.recordFailure(job, new Error(`Interrupted while ${stage}`));
+        if (job.deadLetter) {
+          this.pendingDeadLetters.push(job);
+        }
+      }
+    }
+
+    this.pruneExpiredJobs();
+    await this.compact();
+
+    logger.info(`Loaded ${this.jobs.size} jobs from ${this.storePath}`);
+  }
+
+  // Drop finished jobs older than the retention window
+  pruneExpiredJobs() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+    for (const job of this.jobs.values()) {
+      if ((job.status === 'done' || job.status === 'cancelled') && new Date(job.updatedAt).getTime() < cutoff) {
+        this.jobs.delete(job.id);
+      }
+    }
+  }
+
+  // Rewrite the log with one line per job so it does not grow forever
+  async compact() {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    const lines = Array.from(this.jobs.values()).map(job => JSON.stringify(job));
+    const tempPath = `${this.storePath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    await fs.rename(tempPath, this.storePath);
+  }
+
+  // Append the current state of a job to the log (writes are serialized to keep order)
+  persist(job) {
+    const line = `${JSON.stringify(job)}\n`;
+
+    this.writeChain = this.writeChain
+      .then(() => fs.mkdir(path.dirname(this.storePath), { recursive: true }))
+      .then(() => fs.appendFile(this.storePath, line))
+      .catch(error => logger.error(`Failed to persist job ${job.id}:`, error.message));
+
+    return this.writeChain;
+  }
+
+  // Add a job to the queue. Jobs sharing a dedupeKey are not queued twice while one is waiting to start.
+  async enqueue(type, payload, options = {}) {
+    const dedupeKey = options.dedupeKey || null;
+
+    if (dedupeKey) {
+      const pending = Array.from(this.jobs.values()).filter(job =>
+        job.dedupeKey === dedupeKey && !FINAL_STATES.includes(job.status)
+      );
+
+      // A job that has not started yet should process the latest revision of the file
+      const waiting = pending.find(job => !this.isStarted(job));
+      if (waiting) {
+        waiting.payload = payload;
+        waiting.updatedAt = new Date().toISOString();
+        await this.persist(waiting);
+        logger.info(`Job for ${dedupeKey} is already pending (${waiting.id}), not queueing again`);
+        return waiting;
+      }
+
+      // A running job has already read its payload, so the new revision gets a job of its own
+      if (pending.length > 0) {
+        logger.info(`Job for ${dedupeKey} is already running (${pending[0].id}), queueing another`);
+      }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type: type,
+      dedupeKey: dedupeKey,
+      payload: payload,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      history: [{ status: 'queued', at: now }],
+      startedAt: null,
+      error: null,
+      result: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.persist(job);
+
+    logger.info(`Queued ${type} job ${job.id}`, { dedupeKey });
+    this.schedule(0);
+    return job;
+  }
+
+  // Whether the worker has picked up the job for its current attempt
+  isStarted(job) {
+    return ACTIVE_STATES.includes(job.status) || !!job.startedAt;
+  }
+
+  // Move a job to a new state and record the transition
+  async setStatus(job, status) {
+    if (!JOB_STATES.includes(status)) {
+      throw new Error(`Unknown job state: ${status}`);
+    }
+
+    const now = new Date().toISOString();
+    job.status = status;
+    job.updatedAt = now;
+    job.history.push({ status: status, at: now });
+    await this.persist(job);
+  }
+
+  // Record a failed attempt, either scheduling a retry with exponential backoff or dead-lettering the job
+  recordFailure(job, error) {
+    const now = new Date();
+    job.attempts += 1;
+    job.error = {
+      message: error.message,
+      stage: job.status,
+      at: now.toISOString()
+    };
+    job.errors = [...(job.errors || []), job.error];
+    job.startedAt = null;
+
+    const retryable = error.retryable !== false && job.attempts < job.maxAttempts;
+
+    if (retryable) {
+      const delay = Math.min(this.retryBaseDelayMs * Math.pow(2, job.attempts - 1), this.retryMaxDelayMs);
+      job.status = 'queued';
+      job.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+      logger.warn(`Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    } else {
+      job.status = 'failed';
+      job.deadLetter = true;
+      job.nextAttemptAt = null;
+      logger.error(`Job ${job.id} moved to dead-letter list after ${job.attempts} attempt(s): ${error.message}`);
+    }
+
+    job.updatedAt = now.toISOString();
+    job.history.push({ status: job.status, at: job.updatedAt });
+  }
+
+  // Put a job back in the queue until a given time without using up an attempt
+  // (e.g. the cost budget is used up and resets at the start of the next day)
+  recordDeferral(job, error) {
+    const now = new Date().toISOString();
+    job.error = {
+      message: error.message,
+      stage: job.status,
+      at: now,
+      deferred: true
+    };
+    job.startedAt = null;
+    job.status = 'queued';
+    job.nextAttemptAt = new Date(error.deferUntil).toISOString();
+    job.updatedAt = now;
+    job.history.push({ status: job.status, at: now, reason: error.message });
+
+    logger.warn(`Job ${job.id} deferred until ${job.nextAttemptAt}: ${error.message}`);
+  }
+
+  // Put a failed job back in the queue with a fresh set of attempts
+  async retry(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return null;
+
+    if (job.status !== 'failed') {
+      throw new Error(`Only failed jobs can be retried (job is ${job.status})`);
+    }
+
+    job.attempts = 0;
+    job.deadLetter = false;
+    job.nextAttemptAt = new Date().toISOString();
+    await this.setStatus(job, 'queued');
+
+    logger.info(`Job ${job.id} requeued for retry`);
+    this.schedule(0);
+    return job;
+  }
+
+  // Cancel a job that has not started yet
+  async cancel(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return null;
+
+    if (job.status !== 'queued') {
+      throw new Error(`Only queued jobs can be cancelled (job is ${job.status})`);
+    }
+    if (this.isStarted(job)) {
+      throw new Error('Only queued jobs can be cancelled (job is already running)');
+    }
+
+    job.nextAttemptAt = null;
+    await this.setStatus(job, 'cancelled');
+
+    logger.info(`Job ${job.id} cancelled`);
+    return job;
+  }
+
+  // Time spent in each state, derived from the job's state history
+  getStageTimings(job) {
+    return job.history.map((entry, index) => {
+      const next = job.history[index + 1];
+      const startedAt = new Date(entry.at).getTime();
+      const endedAt = next ? new Date(next.at).getTime() : null;
+
+      return {
+        stage: entry.status,
+        startedAt: entry.at,
+        endedAt: next ? next.at : null,
+        durationMs: endedAt !== null ? endedAt - startedAt : null
+      };
+    });
+  }
+
+  // Get a single job by id
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // List all jobs, newest first
+  listJobs() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Jobs that exhausted their retries
+  getDeadLetters() {
+    return this.listJobs().filter(job => job.status === 'failed');
+  }
+
+  // Count jobs per state (used by the health check)
+  getStats() {
+    const stats = {};
+    for (const state of JOB_STATES) {
+      stats[state] = 0;
+    }
+    for (const job of this.jobs.values()) {
+      stats[job.status] = (stats[job.status] || 0) + 1;
+    }
+    return stats;
+  }
+
+  // Start draining the queue with the given handler: async (job, { setStage }) => result.
+  // onDeadLetter(job) is awaited when a job fails for the last time; changes it makes to the job are saved.
+  start(handler, { onDeadLetter = null } = {}) {
+    this.handler = handler;
+    this.onDeadLetter = onDeadLetter;
+    this.running = true;
+    logger.info('Job worker started');
+
+    // Jobs dead-lettered while loading get the same clean-up as jobs that fail in the run loop
+    const pending = this.pendingDeadLetters;
+    this.pendingDeadLetters = [];
+    (async () => {
+      for (const job of pending) {
+        await this.notifyDeadLetter(job);
+      }
+    })().then(() => this.schedule(0));
+  }
+
+  // Stop picking up new jobs (the job in progress is allowed to finish)
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Schedule the next poll of the queue
+  schedule(delay = this.pollIntervalMs) {
+    if (!this.running) return;
+    if (this.timer) clearTimeout(this.timer);
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain().catch(error => logger.error('Job worker error:', error));
+    }, delay);
+  }
+
+  // Find the oldest queued job that is due
+  nextDueJob() {
+    const now = Date.now();
+
+    return Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued' && new Date(job.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0] || null;
+  }
+
+  // Process due jobs one at a time until none are left, then go back to polling
+  async drain() {
+    if (this.busy || !this.running) return;
+    this.busy = true;
+
+    try {
+      let job = this.nextDueJob();
+
+      while (job && this.running) {
+        await this.runJob(job);
+        job = this.nextDueJob();
+      }
+    } finally {
+      this.busy = false;
+      this.schedule();
+    }
+  }
+
+  // Run a single job through the handler
+  async runJob(job) {
+    logger.info(`Running ${job.type} job ${job.id} (attempt ${job.attempts + 1}/${job.maxAttempts})`);
+
+    const setStage = async (stage) => this.setStatus(job, stage);
+
+    // Mark the job as picked up before the handler reads its payload
+    job.startedAt = new Date().toISOString();
+    await this.persist(job);
+
+    try {
+      const result = await this.handler(job, { setStage });
+
+      job.result = result || null;
+      job.error = null;
+      job.startedAt = null;
+      await this.setStatus(job, 'done');
+      logger.info(`Job ${job.id} completed`);
+    } catch (error) {
+      if (error.deferUntil) {
+        this.recordDeferral(job, error);
+        await this.persist(job);
+        return;
+      }
+
+      this.recordFailure(job, error);
+      await this.persist(job);
+
+      if (job.deadLetter) {
+        await this.notifyDeadLetter(job);
+      }
+    }
+  }
+
+  // Let the owner clean up after a job that will not be retried automatically
+  async notifyDeadLetter(job) {
+    if (!this.onDeadLetter) return;
+
+    try {
+      await this.onDeadLetter(job);
+      await this.persist(job);
+    } catch (hookError) {
+      logger.error(`Dead-letter handler failed for job ${job.id}:`, hookError.message);
+    }
+  }
+}
+
+JobQueue.JOB_STATES = JOB_STATES;
+
+module.exports = JobQueue;
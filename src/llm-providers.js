@@ -0,0 +1,244 @@
+const OpenAI = require('openai');
+const config = require('../config/config');
+const { logger, estimateCost } = require('./utils');
+
+// A chat model behind an OpenAI-compatible API: OpenAI itself, or a self-hosted server such as
+// Ollama, llama.cpp or vLLM. Settings:
+//   baseUrl    API base URL (omit for OpenAI)
+//   apiKey     API key (local servers usually accept anything)
+//   model      model for analysis requests
+//   visionModel  model for image requests (defaults to model)
+//   vision     whether the model accepts images
+//   jsonMode   whether the server supports response_format json_object
+//   pricing    { input, output } in dollars per 1K tokens; omit to use the OpenAI price list, use 0 for local models
+class LlmProvider {
+  constructor(name, settings) {
+    this.name = name;
+    this.model = settings.model;
+    this.visionModel = settings.visionModel || settings.model;
+    this.vision = !!settings.vision;
+    this.jsonMode = !!settings.jsonMode;
+    this.pricing = settings.pricing || null;
+
+    this.client = new OpenAI({
+      apiKey: settings.apiKey || 'not-needed',
+      timeout: config.llm.timeoutMs,
+      ...(settings.baseUrl ? { baseURL: settings.baseUrl } : {})
+    });
+  }
+
+  // Tokens and cost in dollars of a request
+  getUsage(usage, model) {
+    const inputTokens = usage?.prompt_tokens || 0;
+    const outputTokens = usage?.completion_tokens || 0;
+    const cost = this.pricing
+      ? (inputTokens / 1000) * (this.pricing.input || 0) + (outputTokens / 1000) * (this.pricing.output || 0)
+      : estimateCost(inputTokens, outputTokens, model);
+
+    return { inputTokens, outputTokens, cost };
+  }
+
+  // Send a conversation that asks for JSON. Returns the raw reply and the parsed object,
+  // or parseError when the reply is not JSON (so the caller can ask the model to fix it).
+  async chatJson(messages, { maxTokens, temperature }) {
+    // Without JSON mode the model is only asked for JSON, and the object is cut out of its reply
+    const prompt = this.jsonMode
+      ? messages
+      : messages.map((message, index) => (index === messages.length - 1 && message.role === 'user'
+        ? { ...message, content: `${message.content}\n\nRespond with the JSON object only.` }
+        : message));
+
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: prompt,
+      max_tokens: maxTokens,
+      temperature: temperature,
+      ...(this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    const content = response.choices[0].message.content || '';
+    let data = null;
+    let parseError = null;
+
+    try {
+      data = parseJsonResponse(content);
+    } catch (error) {
+      parseError = error.message;
+    }
+
+    return {
+      content,
+      data,
+      parseError,
+      provider: this.name,
+      model: this.model,
+      ...this.getUsage(response.usage, this.model)
+    };
+  }
+
+  // Send a prompt with an image and return the text of the response
+  async chatWithImage(prompt, imageBuffer, mimeType, { maxTokens, temperature, detail }) {
+    if (!this.vision) {
+      throw new Error(`LLM provider "${this.name}" does not support images`);
+    }
+
+    const response = await this.client.chat.completions.create({
+      model: this.visionModel,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            {
+              type: 'image_url',
+              image_url: {
+                url: `data:${mimeType};base64,${imageBuffer.toString('base64')}`,
+                detail: detail
+              }
+            }
+          ]
+        }
+      ],
+      max_tokens: maxTokens,
+      temperature: temperature
+    });
+
+    return {
+      text: response.choices[0].message.content || '',
+      provider: this.name,
+      model: this.visionModel,
+      ...this.getUsage(response.usage, this.visionModel)
+    };
+  }
+}
+
+// Parse a JSON object from a model reply, tolerating code fences or text around it
+function parseJsonResponse(content) {
+  const text = (content || '').trim();
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error(`Model response is not JSON: ${text.slice(0, 200)}`);
+    }
+    return JSON.parse(text.slice(start, end + 1));
+  }
+}
+
+// The configured providers, and which one serves each role ('analysis' or 'vision').
+// A request that fails on a role's provider is sent to its fallback provider, if one is configured.
+class LlmProviders {
+  constructor(settings = config.llm) {
+    // "openai" is always available; LLM_PROVIDERS can override it or add providers
+    const definitions = {
+      ...settings.providers,
+      openai: {
+        apiKey: config.openai.apiKey,
+        baseUrl: config.openai.baseUrl,
+        model: config.documents.documentAnalysisModel,
+        visionModel: config.documents.visionModel,
+        vision: true,
+        jsonMode: true,
+        ...(settings.providers.openai || {})
+      }
+    };
+
+    this.providers = {};
+    for (const [name, definition] of Object.entries(definitions)) {
+      this.providers[name] = new LlmProvider(name, {
+        ...definition,
+        model: definition.model || config.documents.documentAnalysisModel
+      });
+    }
+
+    this.roles = {
+      analysis: [settings.analysisProvider, settings.analysisFallbackProvider],
+      vision: [settings.visionProvider, settings.visionFallbackProvider]
+    };
+
+    for (const [role, names] of Object.entries(this.roles)) {
+      for (const name of names.filter(Boolean)) {
+        if (!this.providers[name]) {
+          logger.error(`LLM provider "${name}" configured for ${role} is not defined in LLM_PROVIDERS`);
+        } else if (role === 'vision' && !this.providers[name].vision) {
+          logger.error(`LLM provider "${name}" configured for vision does not support images`);
+        }
+      }
+    }
+  }
+
+  // Providers for a role in the order they are tried
+  getProviders(role) {
+    return this.roles[role]
+      .filter(name => name && this.providers[name])
+      .map(name => this.providers[name])
+      .filter(provider => role !== 'vision' || provider.vision);
+  }
+
+  // Model of a role's primary provider (used to size chunks to its context window)
+  getModel(role) {
+    const [provider] = this.getProviders(role);
+    if (!provider) return config.documents.documentAnalysisModel;
+    return role === 'vision' ? provider.visionModel : provider.model;
+  }
+
+  // Run a request on the role's provider, then on its fallback when the first one fails
+  async withFallback(role, request) {
+    const providers = this.getProviders(role);
+    if (providers.length === 0) {
+      throw new Error(`No usable LLM provider is configured for ${role}`);
+    }
+
+    for (let i = 0; i < providers.length; i++) {
+      try {
+        return await request(providers[i]);
+      } catch (error) {
+        if (i === providers.length - 1) throw error;
+        logger.warn(`LLM provider "${providers[i].name}" failed for ${role}, falling back to "${providers[i + 1].name}":`, error.message);
+      }
+    }
+  }
+
+  // Report a completed request to the caller's onUsage hook (the cost ledger), tagged with its stage
+  async reportUsage(result, { stage, onUsage } = {}) {
+    if (onUsage) {
+      await onUsage({
+        stage: stage || null,
+        provider: result.provider,
+        model: result.model,
+        inputTokens: result.inputTokens,
+        outputTokens: result.outputTokens,
+        cost: result.cost
+      });
+    }
+    return result;
+  }
+
+  // JSON request for analysis, classification and field extraction (messages in chat format)
+  async chatJson(messages, context = {}) {
+    const result = await this.withFallback('analysis', provider => provider.chatJson(messages, {
+      maxTokens: config.documents.documentMaxTokens,
+      temperature: config.documents.documentTemperature
+    }));
+    return await this.reportUsage(result, context);
+  }
+
+  // Image request for text extraction
+  async chatWithImage(prompt, imageBuffer, mimeType, context = {}) {
+    const result = await this.withFallback('vision', provider => provider.chatWithImage(prompt, imageBuffer, mimeType, {
+      maxTokens: config.documents.visionMaxTokens,
+      temperature: config.documents.visionTemperature,
+      detail: config.documents.imageDetail
+    }));
+    return await this.reportUsage(result, context);
+  }
+}
+
+module.exports = {
+  LlmProviders,
+  LlmProvider,
+  parseJsonResponse
+};
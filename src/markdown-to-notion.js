@@ -0,0 +1,316 @@
+// Converts the Markdown produced by extraction (vision OCR, Word conversion) into native Notion blocks:
+// headings, bulleted/numbered lists, to-dos, fenced code, quotes, dividers, pipe tables and paragraphs
+// with bold/italic/strikethrough/code/link annotations. Every text item stays within Notion's
+// 2000-character rich_text limit.
+
+const RICH_TEXT_LIMIT = 2000;
+const MAX_RICH_TEXT_ITEMS = 100;
+
+// Languages Notion accepts for code blocks (subset), plus common fence aliases
+const CODE_LANGUAGES = [
+  'bash', 'c', 'c#', 'c++', 'css', 'diff', 'docker', 'go', 'graphql', 'html', 'java', 'javascript',
+  'json', 'kotlin', 'markdown', 'php', 'plain text', 'powershell', 'python', 'ruby', 'rust', 'scss',
+  'shell', 'sql', 'swift', 'typescript', 'xml', 'yaml'
+];
+const LANGUAGE_ALIASES = {
+  js: 'javascript', ts: 'typescript', py: 'python', rb: 'ruby', sh: 'shell', zsh: 'shell',
+  yml: 'yaml', cs: 'c#', cpp: 'c++', md: 'markdown', dockerfile: 'docker', text: 'plain text', txt: 'plain text'
+};
+
+const INLINE_PATTERN = new RegExp([
+  '(\\*\\*|__)(.+?)\\1',                       // 1,2: bold
+  '~~(.+?)~~',                                 // 3: strikethrough
+  '`([^`]+)`',                                 // 4: inline code
+  '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)',           // 5,6: link
+  '\\*(?!\\s)(.+?)\\*',                        // 7: italic with *
+  '(?<![\\w])_(?!\\s)(.+?)_(?![\\w])'          // 8: italic with _ (not inside snake_case words)
+].join('|'));
+
+// Parse inline Markdown into segments of { content, annotations, url }
+function parseInlineSegments(text, annotations = {}, url = null) {
+  const segments = [];
+  let remaining = text;
+
+  while (remaining) {
+    const match = INLINE_PATTERN.exec(remaining);
+
+    if (!match) {
+      segments.push({ content: remaining, annotations, url });
+      break;
+    }
+
+    if (match.index > 0) {
+      segments.push({ content: remaining.slice(0, match.index), annotations, url });
+    }
+
+    if (match[2] !== undefined) {
+      segments.push(...parseInlineSegments(match[2], { ...annotations, bold: true }, url));
+    } else if (match[3] !== undefined) {
+      segments.push(...parseInlineSegments(match[3], { ...annotations, strikethrough: true }, url));
+    } else if (match[4] !== undefined) {
+      segments.push({ content: match[4], annotations: { ...annotations, code: true }, url });
+    } else if (match[5] !== undefined) {
+      // Notion rejects relative or malformed links, so those stay plain text
+      const linkUrl = /^(https?:\/\/|mailto:)/i.test(match[6]) ? match[6] : url;
+      segments.push(...parseInlineSegments(match[5], annotations, linkUrl));
+    } else {
+      segments.push(...parseInlineSegments(match[7] ?? match[8], { ...annotations, italic: true }, url));
+    }
+
+    remaining = remaining.slice(match.index + match[0].length);
+  }
+
+  return segments;
+}
+
+// Convert inline Markdown to a Notion rich_text array, splitting long text into 2000-character items
+function toRichText(text) {
+  const items = [];
+
+  for (const segment of parseInlineSegments(text || '')) {
+    for (let i = 0; i < segment.content.length; i += RICH_TEXT_LIMIT) {
+      const item = {
+        type: 'text',
+        text: { content: segment.content.slice(i, i + RICH_TEXT_LIMIT) }
+      };
+      if (segment.url) item.text.link = { url: segment.url };
+      if (Object.keys(segment.annotations).length > 0) item.annotations = { ...segment.annotations };
+      items.push(item);
+    }
+  }
+
+  return items;
+}
+
+// Plain rich_text for literal content (code blocks), split into 2000-character items
+function toPlainRichText(text) {
+  const items = [];
+  for (let i = 0; i < text.length; i += RICH_TEXT_LIMIT) {
+    items.push({ type: 'text', text: { content: text.slice(i, i + RICH_TEXT_LIMIT) } });
+  }
+  return items;
+}
+
+// Build one or more blocks of a text type; rich_text arrays are limited to 100 items per block
+function textBlocks(type, richText, extra = {}) {
+  const blocks = [];
+
+  for (let i = 0; i === 0 || i < richText.length; i += MAX_RICH_TEXT_ITEMS) {
+    blocks.push({
+      object: 'block',
+      type,
+      [type]: { rich_text: richText.slice(i, i + MAX_RICH_TEXT_ITEMS), ...extra }
+    });
+  }
+
+  return blocks;
+}
+
+function codeLanguage(fence) {
+  const language = (fence || '').trim().toLowerCase();
+  const normalized = LANGUAGE_ALIASES[language] || language;
+  return CODE_LANGUAGES.includes(normalized) ? normalized : 'plain text';
+}
+
+// Split a pipe table row into cells, honouring escaped pipes
+function splitTableRow(line) {
+  const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+}
+
+function isTableRow(line) {
+  return /^\s*\|.*\|\s*$/.test(line);
+}
+
+// Parse a list item line into { indent, type, checked, text }
+function parseListItem(line) {
+  const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+  if (!match) return null;
+
+  const indent = match[1].replace(/\t/g, '  ').length;
+  const todo = match[3].match(/^\[([ xX])\]\s+(.*)$/);
+
+  if (todo && !/\d/.test(match[2])) {
+    return { indent, type: 'to_do', checked: todo[1].toLowerCase() === 'x', text: todo[2] };
+  }
+
+  return {
+    indent,
+    type: /\d/.test(match[2]) ? 'numbered_list_item' : 'bulleted_list_item',
+    text: match[3]
+  };
+}
+
+// Build nested list blocks from consecutive list item lines
+function buildListBlocks(items) {
+  const root = { indent: -1, children: [] };
+  const stack = [root];
+
+  for (const item of items) {
+    while (stack.length > 1 && item.indent <= stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+
+    const extra = item.type === 'to_do' ? { checked: item.checked } : {};
+    const [block] = textBlocks(item.type, toRichText(item.text), extra);
+    const parent = stack[stack.length - 1];
+
+    if (parent.block) {
+      parent.block[parent.block.type].children = parent.block[parent.block.type].children || [];
+      parent.block[parent.block.type].children.push(block);
+    } else {
+      root.children.push(block);
+    }
+
+    stack.push({ indent: item.indent, block });
+  }
+
+  return root.children;
+}
+
+// Build a Notion table block (first row is the column header)
+function buildTableBlock(rows) {
+  const width = Math.max(...rows.map(row => row.length));
+
+  return {
+    object: 'block',
+    type: 'table',
+    table: {
+      table_width: width,
+      has_column_header: true,
+      has_row_header: false,
+      children: rows.map(row => ({
+        object: 'block',
+        type: 'table_row',
+        table_row: {
+          cells: [...row, ...Array(width - row.length).fill('')]
+            .map(cell => toRichText(cell).slice(0, MAX_RICH_TEXT_ITEMS))
+        }
+      }))
+    }
+  };
+}
+
+// Convert a Markdown document to an array of Notion blocks
+function markdownToBlocks(markdown) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(/^\s*(```|~~~)\s*([\w#+-]*)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence
+
+      blocks.push(...textBlocks('code', toPlainRichText(code.join('\n')), { language: codeLanguage(fence[2]) }));
+      continue;
+    }
+
+    // Heading (Notion has three levels)
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    if (heading) {
+      const level = Math.min(heading[1].length, 3);
+      blocks.push(...textBlocks(`heading_${level}`, toRichText(heading[2])));
+      i++;
+      continue;
+    }
+
+    // Divider
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push({ object: 'block', type: 'divider', divider: {} });
+      i++;
+      continue;
+    }
+
+    // Pipe table: header row followed by a separator row
+    if (isTableRow(line) && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+      const rows = [splitTableRow(line)];
+      i += 2;
+      while (i < lines.length && isTableRow(lines[i])) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      blocks.push(buildTableBlock(rows));
+      continue;
+    }
+
+    // Quote (consecutive "> " lines form one block)
+    if (/^\s*>/.test(line)) {
+      const quote = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quote.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      blocks.push(...textBlocks('quote', toRichText(quote.join('\n'))));
+      continue;
+    }
+
+    // List (bulleted, numbered and to-do items, nested by indentation)
+    if (parseListItem(line)) {
+      const items = [];
+      while (i < lines.length && lines[i].trim()) {
+        const item = parseListItem(lines[i]);
+        if (item) {
+          items.push(item);
+        } else if (items.length > 0 && /^\s+/.test(lines[i])) {
+          // Indented continuation line belongs to the previous item
+          items[items.length - 1].text += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push(...buildListBlocks(items));
+      continue;
+    }
+
+    // Paragraph: consecutive plain lines
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    if (paragraph.length === 0) {
+      // Safety net for a line that looks like a block start but did not parse as one
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push(...textBlocks('paragraph', toRichText(paragraph.join('\n'))));
+  }
+
+  return blocks;
+}
+
+// Whether the line at index starts a non-paragraph block
+function startsBlock(lines, index) {
+  const line = lines[index];
+  return /^\s*(```|~~~)/.test(line)
+    || /^\s*#{1,6}\s+/.test(line)
+    || /^\s*>/.test(line)
+    || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)
+    || !!parseListItem(line)
+    || (isTableRow(line) && index + 1 < lines.length && isTableSeparator(lines[index + 1]));
+}
+
+module.exports = {
+  markdownToBlocks,
+  toRichText
+};
@@ -0,0 +1,123 @@
+const axios = require('axios');
+const config = require('../config/config');
+const { logger } = require('./utils');
+
+const NOTION_VERSION = '2022-06-28';
+
+// Transient statuses worth retrying: rate limited, conflicting concurrent edits and server errors
+const RETRYABLE_STATUSES = [409, 429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Single entry point for Notion API calls. Requests are spaced out to stay under Notion's
+// rate limit, 429s pause every request for the Retry-After period, transient errors are
+// retried with exponential backoff, and database schemas are cached with a TTL.
+class NotionClient {
+  constructor() {
+    this.apiKey = config.notion.apiKey;
+    this.baseURL = 'https://api.notion.com/v1';
+    this.minIntervalMs = Math.ceil(1000 / config.notion.requestsPerSecond);
+    this.maxRetries = config.notion.maxRetries;
+    this.retryBaseDelayMs = config.notion.retryBaseDelayMs;
+    this.schemaCacheTtlMs = config.notion.schemaCacheTtlMs;
+
+    this.nextSlotAt = 0;
+    this.schemaCache = new Map();
+  }
+
+  // Create headers for Notion API requests
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Notion-Version': NOTION_VERSION,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  // Reserve the next free request slot and wait for it
+  async acquireSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlotAt);
+    this.nextSlotAt = slot + this.minIntervalMs;
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  // Make a rate-limited request with retries. Returns the axios response.
+  async request({ method = 'GET', path, data, headers = {} }) {
+    let attempt = 0;
+
+    while (true) {
+      await this.acquireSlot();
+
+      try {
+        return await axios({
+          method: method,
+          url: `${this.baseURL}${path}`,
+          headers: { ...this.getHeaders(), ...headers },
+          data: data,
+          // File upload parts can be 20 MB; axios would otherwise cap request bodies at 10 MB
+          maxBodyLength: Infinity
+        });
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = status ? RETRYABLE_STATUSES.includes(status) : this.isNetworkError(error);
+
+        if (!retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        attempt++;
+        let delay = this.retryBaseDelayMs * Math.pow(2, attempt - 1);
+
+        if (status === 429) {
+          const retryAfter = parseFloat(error.response.headers?.['retry-after']);
+          delay = Number.isNaN(retryAfter) ? delay : retryAfter * 1000;
+          // Hold back every queued request, not just this one
+          this.nextSlotAt = Math.max(this.nextSlotAt, Date.now() + delay);
+          logger.warn(`Notion rate limit hit on ${method} ${path}, retrying in ${Math.round(delay / 1000)}s`);
+        } else {
+          logger.warn(`Notion ${method} ${path} failed with ${status || error.code}, retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+        }
+
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Connection resets and timeouts have no HTTP response
+  isNetworkError(error) {
+    return !error.response && ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND'].includes(error.code);
+  }
+
+  // Database properties, cached for schemaCacheTtlMs. Concurrent callers share one request.
+  async getDatabaseSchema(databaseId, { forceRefresh = false } = {}) {
+    const cached = this.schemaCache.get(databaseId);
+
+    if (cached && !forceRefresh && Date.now() - cached.fetchedAt < this.schemaCacheTtlMs) {
+      return await cached.promise;
+    }
+
+    const promise = this.request({ method: 'GET', path: `/databases/${databaseId}` })
+      .then(response => response.data.properties);
+
+    this.schemaCache.set(databaseId, { promise, fetchedAt: Date.now() });
+
+    try {
+      return await promise;
+    } catch (error) {
+      // Never cache failures
+      this.schemaCache.delete(databaseId);
+      throw error;
+    }
+  }
+
+  // Drop a cached schema (e.g. after the database was edited)
+  invalidateSchema(databaseId) {
+    this.schemaCache.delete(databaseId);
+  }
+}
+
+module.exports = NotionClient;
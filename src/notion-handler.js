@@ -1,21 +1,45 @@
-const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const FormData = require('form-data');
 const config = require('../config/config');
 const { logger } = require('./utils');
+const NotionPropertyMapper = require('./notion-property-mapper');
+const NotionClient = require('./notion-client');
+const { markdownToBlocks } = require('./markdown-to-notion');
+
+// Notion request limits: 100 children per array, 1000 blocks and ~500KB per request
+const MAX_CHILDREN_PER_REQUEST = 100;
+const MAX_BLOCKS_PER_REQUEST = 1000;
+const MAX_PAYLOAD_BYTES = 450 * 1024;
+
+// Notion file uploads: up to 20 MB in a single request, larger files in 10 MB parts
+const SINGLE_PART_UPLOAD_LIMIT = 20 * 1024 * 1024;
+const UPLOAD_PART_SIZE = 10 * 1024 * 1024;
+
+// Content types of the document formats, and the block type that displays each one
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.bmp': 'image/bmp',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.doc': 'application/msword'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class NotionHandler {
   constructor() {
     this.apiKey = config.notion.apiKey;
     this.databaseId = config.notion.databaseId;
-    this.baseURL = 'https://api.notion.com/v1';
-  }
-
-  // Create headers for Notion API requests
-  getHeaders() {
-    return {
-      'Authorization': `Bearer ${this.apiKey}`,
-      'Notion-Version': '2022-06-28',
-      'Content-Type': 'application/json'
-    };
+    this.propertyMapper = new NotionPropertyMapper();
+    // All API calls go through one client so they share the rate limit and schema cache
+    this.client = new NotionClient();
   }
 
   // Create a new page in the Notion database
@@ -25,16 +49,22 @@ class NotionHandler {
       logger.info(`Creating Notion page for: ${displayName}`);
 
       const pageData = await this.buildPageData(documentData, customName);
-      
-      const response = await axios({
+      const blocks = pageData.children;
+
+      // The page is created with the first batch of blocks; the rest is appended afterwards
+      const firstBatch = this.takeBatch(blocks, 0);
+
+      const response = await this.client.request({
         method: 'POST',
-        url: `${this.baseURL}/pages`,
-        headers: this.getHeaders(),
-        data: pageData
+        path: `/pages`,
+        data: { ...pageData, children: firstBatch.payload }
       });
 
-      logger.info(`Successfully created Notion page: ${response.data.id}`);
-      return response.data;
+      const page = response.data;
+      logger.info(`Successfully created Notion page: ${page.id}`);
+
+      page.contentUpload = await this.uploadRemainingContent(page.id, blocks, firstBatch);
+      return page;
 
     } catch (error) {
       logger.error(`Failed to create Notion page for ${documentData.fileName}:`, error.response?.data || error.message);
@@ -42,50 +72,12 @@ class NotionHandler {
     }
   }
 
-  // Build the page data structure for Notion
-  async buildPageData(documentData, customName = null) {
-    const { fileName, generatedTitle, summary, keyPoints, actionItems, topics, sentiment, metadata, shareableUrl } = documentData;
-    // Use customName if provided, otherwise use generated title, fallback to filename
-    const displayName = customName || generatedTitle || fileName.replace(/\.[^/.]+$/, ''); // Remove file extension
-
-    const properties = {
-      // Name property (matches your database) - using link tags relation
-      'Name': await this.buildLinkTagsRelation(generatedTitle),
-      'Manual Name Input': {
-        rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: generatedTitle
-            }
-          }
-        ]
-      },
-      // Main Entry property (matches your database)
-      'Main Entry': {
-        rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: summary || 'No summary available'
-            }
-          }
-        ]
-      }
-    };
-
-    // Add URL property with Dropbox shareable link (auto-detect field type)
-    if (shareableUrl) {
-      properties['URL'] = await this.buildUrlProperty(shareableUrl);
-    }
-
-          // Add Document Processed property to mark as processed
-      properties['Document Processed'] = {
-        checkbox: true
-      };
-
-    // Add Status property with 📥 emoji (auto-detect field type)
-    properties['Status'] = await this.buildStatusProperty('📥');
+  // Build the page data structure for Notion. With `update`, only the properties derived from the
+  // document are included (see NotionPropertyMapper.buildProperties).
+  async buildPageData(documentData, customName = null, { update = false } = {}) {
+    // Property names and types come from the mapping file, checked against the live schema
+    const schema = await this.getDatabaseSchema();
+    const properties = this.propertyMapper.buildProperties(documentData, schema, { update });
 
     return {
       parent: {
@@ -97,194 +89,49 @@ class NotionHandler {
     };
   }
 
-  // Build URL property based on field type
-  async buildUrlProperty(shareableUrl) {
+  // Check the property mapping against the database schema and log any mismatches, including
+  // status options the service sets on its own (source deleted, needs review)
+  async validatePropertyMapping() {
     try {
-      // Get database schema to determine URL field type
       const schema = await this.getDatabaseSchema();
-      const urlProperty = schema.URL;
-      
-      if (!urlProperty) {
-        logger.warn('No URL property found in database schema, defaulting to rich_text');
-        // Default to rich_text format
-        return {
-          rich_text: [
-            {
-              type: 'text',
-              text: {
-                content: shareableUrl
-              }
-            }
-          ]
-        };
+      const statuses = [];
+      if ([config.dropbox.deletedFileAction, config.dropbox.movedFileAction].includes('status')) {
+        statuses.push(config.notion.sourceDeletedStatus);
       }
-
-      if (urlProperty.type === 'url') {
-        return { url: shareableUrl };
-      } else {
-        // Default to rich_text for any other type
-        return {
-          rich_text: [
-            {
-              type: 'text',
-              text: {
-                content: shareableUrl
-              }
-            }
-          ]
-        };
+      if (config.documents.invalidOutputAction === 'review') {
+        statuses.push(config.notion.needsReviewStatus);
       }
-    } catch (error) {
-      logger.warn(`Error building URL property, defaulting to rich_text:`, error.message);
-      // Fallback to rich_text format
-      return {
-        rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: shareableUrl
-            }
-          }
-        ]
-      };
-    }
-  }
 
-  // Build Status property based on field type
-  async buildStatusProperty(statusValue) {
-    try {
-      // Get database schema to determine Status field type
-      const schema = await this.getDatabaseSchema();
-      const statusProperty = schema.Status;
-      
-      if (!statusProperty) {
-        logger.warn('No Status property found in database schema, defaulting to rich_text');
-        // Default to rich_text format
-        return {
-          rich_text: [
-            {
-              type: 'text',
-              text: {
-                content: statusValue
-              }
-            }
-          ]
-        };
-      }
+      const result = this.propertyMapper.validate(schema, { requiredOptions: { status: statuses } });
 
-      if (statusProperty.type === 'status') {
-        return { status: { name: statusValue } };
-      } else if (statusProperty.type === 'select') {
-        return { select: { name: statusValue } };
-      } else {
-        // Default to rich_text for any other type
-        return {
-          rich_text: [
-            {
-              type: 'text',
-              text: {
-                content: statusValue
-              }
-            }
-          ]
-        };
+      for (const warning of result.warnings) {
+        logger.warn(`Notion property mapping: ${warning}`);
       }
-    } catch (error) {
-      logger.warn(`Error building Status property, defaulting to rich_text:`, error.message);
-      // Fallback to rich_text format
-      return {
-        rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: statusValue
-            }
-          }
-        ]
-      };
-    }
-  }
-
-  // Build link tags relation for the Name property
-  async buildLinkTagsRelation(title) {
-    try {
-      const schema = await this.getDatabaseSchema();
-      const nameProperty = schema['Name'];
-      
-      if (!nameProperty) {
-        logger.warn('No Name property found in database schema, defaulting to title');
-        return {
-          title: [
-            {
-              type: 'text',
-              text: {
-                content: title
-              }
-            }
-          ]
-        };
+      for (const error of result.errors) {
+        logger.error(`Notion property mapping: ${error}`);
       }
 
-      if (nameProperty.type === 'relation') {
-        // For relation fields, we need to provide relation database ID and page ID
-        // You can configure these IDs in your environment variables
-        const relationId = process.env.NOTION_LINK_TAGS_RELATION_ID;
-        
-        if (relationId) {
-          return {
-            relation: [
-              {
-                id: relationId
-              }
-            ]
-          };
-        } else {
-          logger.warn('Link tags relation ID not configured, using title fallback');
-          return {
-            title: [
-              {
-                type: 'text',
-                text: {
-                  content: title
-                }
-              }
-            ]
-          };
-        }
-      } else {
-        // Fallback to title if the property is not a relation
-        return {
-          title: [
-            {
-              type: 'text',
-              text: {
-                content: title
-              }
-            }
-          ]
-        };
+      if (result.valid) {
+        logger.info('Notion property mapping matches the database schema');
       }
+      return result;
     } catch (error) {
-      logger.warn(`Error building link tags relation, defaulting to title:`, error.message);
-      return {
-        title: [
-          {
-            type: 'text',
-            text: {
-              content: title
-            }
-          }
-        ]
-      };
+      logger.error('Could not validate Notion property mapping:', error.message);
+      return { valid: false, errors: [`Could not load database schema: ${error.message}`], warnings: [] };
     }
   }
 
   // Build formatted content blocks for the page
   buildContentBlocks(documentData, customName = null) {
-    const { fileName, summary, keyPoints, actionItems, topics, sentiment, metadata, originalText } = documentData;
+    const { fileName, summary, keyPoints, actionItems, topics, sentiment, metadata, originalText, previousVersions } = documentData;
     const displayName = customName || fileName.replace(/\.[^/.]+$/, ''); // Remove file extension
     const blocks = [];
 
+    // The original file, uploaded to Notion, so the page does not depend on the Dropbox link
+    if (documentData.fileUpload && config.notion.embedUploadedFile) {
+      blocks.push(this.buildFileBlock(documentData.fileUpload));
+    }
+
     // Summary section with full transcript as toggle
     if (summary) {
       blocks.push({
@@ -295,23 +142,46 @@ class NotionHandler {
         }
       });
       
-      // Add chunked summary blocks to stay under 2000 character limit
-      const summaryBlocks = this.createChunkedTextBlocks(summary);
-      blocks.push(...summaryBlocks);
+      // Summary and extracted text are Markdown, converted to native Notion blocks
+      blocks.push(...markdownToBlocks(summary));
 
       // Add full transcript as toggle under summary
       if (originalText) {
-        blocks.push({
-          object: 'block',
-          type: 'toggle',
-          toggle: {
-            rich_text: [{ type: 'text', text: { content: '📄 Full Transcript' } }],
-            children: this.createChunkedTextBlocks(originalText)
-          }
-        });
+        blocks.push(this.buildTranscriptBlock(originalText));
       }
     }
 
+    // The analysis failed validation: say so, and keep the extracted text for whoever reviews the page
+    if (documentData.needsReview) {
+      blocks.push({
+        object: 'block',
+        type: 'callout',
+        callout: {
+          icon: { type: 'emoji', emoji: '⚠️' },
+          rich_text: [{
+            type: 'text',
+            text: { content: `Automatic analysis failed, please review this document. ${documentData.reviewReason || ''}`.trim().slice(0, 2000) }
+          }]
+        }
+      });
+
+      if (!summary && originalText) {
+        blocks.push(this.buildTranscriptBlock(originalText));
+      }
+    }
+
+    // Summaries of earlier revisions of the file, newest first
+    if (previousVersions && previousVersions.length > 0) {
+      blocks.push({
+        object: 'block',
+        type: 'toggle',
+        toggle: {
+          rich_text: [{ type: 'text', text: { content: `🕘 Previous versions (${previousVersions.length})` } }],
+          children: previousVersions.flatMap(version => this.buildVersionBlocks(version))
+        }
+      });
+    }
+
     // Key Points section
     if (keyPoints && keyPoints.length > 0) {
       blocks.push(
@@ -409,6 +279,54 @@ class NotionHandler {
     return blocks;
   }
 
+  // pdf, image or file block showing an uploaded file
+  buildFileBlock(fileUpload) {
+    const type = fileUpload.contentType === 'application/pdf'
+      ? 'pdf'
+      : (fileUpload.contentType.startsWith('image/') ? 'image' : 'file');
+
+    return {
+      object: 'block',
+      type,
+      [type]: {
+        type: 'file_upload',
+        file_upload: { id: fileUpload.id },
+        caption: [{ type: 'text', text: { content: fileUpload.name } }],
+        ...(type === 'file' ? { name: fileUpload.name } : {})
+      }
+    };
+  }
+
+  // Extracted text in a toggle
+  buildTranscriptBlock(originalText) {
+    return {
+      object: 'block',
+      type: 'toggle',
+      toggle: {
+        rich_text: [{ type: 'text', text: { content: '📄 Full Transcript' } }],
+        children: markdownToBlocks(originalText)
+      }
+    };
+  }
+
+  // Heading line and summary for one earlier revision
+  buildVersionBlocks(version) {
+    const processed = version.processedAt ? new Date(version.processedAt).toLocaleString() : 'unknown date';
+    const prompts = version.prompts ? Object.values(version.prompts).filter(Boolean).join(', ') : '';
+    const label = `Version processed ${processed}${version.rev ? ` (rev ${version.rev})` : ''}${prompts ? `, prompts ${prompts}` : ''}`;
+
+    return [
+      {
+        object: 'block',
+        type: 'paragraph',
+        paragraph: {
+          rich_text: [{ type: 'text', text: { content: label }, annotations: { bold: true } }]
+        }
+      },
+      ...(version.summary ? markdownToBlocks(version.summary) : this.createChunkedTextBlocks('Summary not available'))
+    ];
+  }
+
   // Create chunked text blocks to stay under Notion's 2000 character limit
   createChunkedTextBlocks(text, maxLength = 1900) {
     const blocks = [];
@@ -493,120 +411,124 @@ class NotionHandler {
     return sentimentMap[normalized] || 'Neutral';
   }
 
-  // Get database schema to understand available properties
-  async getDatabaseSchema() {
+  // Get database schema to understand available properties (cached by the client)
+  async getDatabaseSchema(options = {}) {
     try {
-      const response = await axios({
-        method: 'GET',
-        url: `${this.baseURL}/databases/${this.databaseId}`,
-        headers: this.getHeaders()
-      });
-
-      return response.data.properties;
+      return await this.client.getDatabaseSchema(this.databaseId, options);
     } catch (error) {
       logger.error('Failed to get database schema:', error.response?.data || error.message);
       throw error;
     }
   }
 
-  // Search for existing pages by Dropbox URL
-  async searchByDropboxUrl(shareableUrl) {
-    try {
-      if (!shareableUrl) {
-        logger.warn('No shareable URL provided for search');
-        return [];
-      }
+  // Query the database, following pagination until every matching page is collected
+  async queryDatabase(filter) {
+    const pages = [];
+    let startCursor;
 
-      logger.info(`Searching for existing page with Dropbox URL: ${shareableUrl}`);
-      
-      const response = await axios({
+    do {
+      const response = await this.client.request({
         method: 'POST',
-        url: `${this.baseURL}/databases/${this.databaseId}/query`,
-        headers: this.getHeaders(),
+        path: `/databases/${this.databaseId}/query`,
         data: {
-          filter: {
-            property: 'URL',
-            rich_text: {
-              contains: shareableUrl
-            }
-          }
+          filter: filter,
+          page_size: 100,
+          ...(startCursor ? { start_cursor: startCursor } : {})
         }
       });
 
-      // Filter results to find exact matches since 'contains' might return partial matches
-      const exactMatches = response.data.results.filter(page => {
-        const urlProperty = page.properties.URL;
-        if (urlProperty && urlProperty.rich_text && urlProperty.rich_text.length > 0) {
-          const urlText = urlProperty.rich_text[0].text.content;
-          return urlText === shareableUrl;
-        }
-        return false;
-      });
+      pages.push(...response.data.results);
+      startCursor = response.data.has_more ? response.data.next_cursor : null;
+    } while (startCursor);
+
+    return pages;
+  }
+
+  // Find pages whose property mapped from a document field (e.g. 'id') exactly equals a value
+  async findPagesBySource(source, value) {
+    if (!value) {
+      return [];
+    }
+
+    const propertyName = this.propertyMapper.findPropertyForSource(source);
+    if (!propertyName) {
+      logger.warn(`No Notion property is mapped from "${source}", cannot search by it`);
+      return [];
+    }
 
-      logger.info(`Found ${response.data.results.length} pages containing URL, ${exactMatches.length} exact matches`);
-      return exactMatches;
+    const schema = await this.getDatabaseSchema();
+    const property = schema[propertyName];
+
+    if (!property || !['title', 'rich_text', 'url'].includes(property.type)) {
+      logger.warn(`Property "${propertyName}" is missing or cannot be searched (type ${property?.type}), skipping search`);
+      return [];
+    }
+
+    return await this.queryDatabase({
+      property: propertyName,
+      [property.type]: { equals: value }
+    });
+  }
+
+  // Plain text of a title, rich_text or url property on a page
+  getPropertyText(page, source) {
+    const propertyName = this.propertyMapper.findPropertyForSource(source);
+    const property = propertyName ? page.properties?.[propertyName] : null;
+
+    if (!property) return null;
+    if (property.type === 'url') return property.url;
+
+    const richText = property[property.type];
+    return Array.isArray(richText) ? richText.map(item => item.plain_text ?? item.text?.content ?? '').join('') : null;
+  }
+
+  // Find the page created for a Dropbox file id
+  async findPageByFileId(fileId) {
+    try {
+      const pages = await this.findPagesBySource('id', fileId);
+      return pages[0] || null;
     } catch (error) {
-      logger.error(`Failed to search for URL ${shareableUrl}:`, error.response?.data || error.message);
-      return []; // Return empty array on error to allow processing
+      logger.error(`Failed to search for Dropbox file id ${fileId}:`, error.response?.data || error.message);
+      throw error;
     }
   }
 
-  // Auto-detect URL field type and search appropriately
-  async searchByDropboxUrlAuto(shareableUrl) {
+  // Find pages created from files with the same Dropbox content_hash
+  async findPagesByContentHash(contentHash) {
     try {
-      if (!shareableUrl) {
-        logger.warn('No shareable URL provided for auto search');
-        return [];
-      }
+      return await this.findPagesBySource('contentHash', contentHash);
+    } catch (error) {
+      logger.error(`Failed to search for content hash ${contentHash}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
 
-      // Get database schema to determine URL field type
-      const schema = await this.getDatabaseSchema();
-      const urlProperty = schema.URL;
-      
-      if (!urlProperty) {
-        logger.warn('No URL property found in database schema');
+  // Search for existing pages by Dropbox URL (used for pages created before file ids were stored)
+  async searchByDropboxUrl(shareableUrl) {
+    try {
+      if (!shareableUrl) {
+        logger.warn('No shareable URL provided for search');
         return [];
       }
 
-      logger.info(`URL field type detected: ${urlProperty.type}`);
-      
-      const response = await axios({
-        method: 'POST',
-        url: `${this.baseURL}/databases/${this.databaseId}/query`,
-        headers: this.getHeaders(),
-        data: {
-          filter: {
-            property: 'URL',
-            [urlProperty.type]: urlProperty.type === 'url' 
-              ? { equals: shareableUrl }
-              : { contains: shareableUrl }
-          }
-        }
-      });
+      logger.info(`Searching for existing page with Dropbox URL: ${shareableUrl}`);
 
-      let results = response.data.results;
-      
-      // If using rich_text, filter for exact matches
-      if (urlProperty.type === 'rich_text') {
-        results = results.filter(page => {
-          const urlProp = page.properties.URL;
-          if (urlProp && urlProp.rich_text && urlProp.rich_text.length > 0) {
-            const urlText = urlProp.rich_text[0].text.content;
-            return urlText === shareableUrl;
-          }
-          return false;
-        });
-      }
+      // Exact match on the mapped URL property, whether it is a url or rich_text property
+      const pages = await this.findPagesBySource('shareableUrl', shareableUrl);
 
-      logger.info(`Auto-search found ${results.length} exact matches for URL`);
-      return results;
+      logger.info(`Found ${pages.length} pages with URL ${shareableUrl}`);
+      return pages;
     } catch (error) {
-      logger.error(`Auto URL search failed, falling back to standard search:`, error.message);
-      // Fallback to the standard rich text search
-      return await this.searchByDropboxUrl(shareableUrl);
+      logger.error(`Failed to search for URL ${shareableUrl}:`, error.response?.data || error.message);
+      return []; // Return empty array on error to allow processing
     }
   }
 
+  // Kept for existing callers; searchByDropboxUrl detects the property type itself now
+  async searchByDropboxUrlAuto(shareableUrl) {
+    return await this.searchByDropboxUrl(shareableUrl);
+  }
+
   // Check if file has already been processed using Dropbox URL
   async isFileAlreadyProcessedByUrl(shareableUrl) {
     try {
@@ -645,10 +567,9 @@ class NotionHandler {
       // Search by the filename without extension
       const searchName = fileName.replace(/\.[^/.]+$/, '');
       
-      const response = await axios({
+      const response = await this.client.request({
         method: 'POST',
-        url: `${this.baseURL}/databases/${this.databaseId}/query`,
-        headers: this.getHeaders(),
+        path: `/databases/${this.databaseId}/query`,
         data: {
           filter: {
             property: titleProperty.name,
@@ -709,23 +630,24 @@ class NotionHandler {
     try {
       logger.info(`Updating Notion page: ${pageId}`);
 
-      const pageData = await this.buildPageData(documentData, customName);
+      // Workflow columns such as Status and hand-edited ones keep the values set in Notion
+      const pageData = await this.buildPageData(documentData, customName, { update: true });
       
       // Update page properties
-      const response = await axios({
+      const response = await this.client.request({
         method: 'PATCH',
-        url: `${this.baseURL}/pages/${pageId}`,
-        headers: this.getHeaders(),
+        path: `/pages/${pageId}`,
         data: {
           properties: pageData.properties
         }
       });
 
       // Clear existing blocks and add new content
-      await this.updatePageContent(pageId, pageData.children);
+      const page = response.data;
+      page.contentUpload = await this.updatePageContent(pageId, pageData.children);
 
       logger.info(`Successfully updated Notion page: ${pageId}`);
-      return response.data;
+      return page;
 
     } catch (error) {
       logger.error(`Failed to update Notion page ${pageId}:`, error.response?.data || error.message);
@@ -733,50 +655,342 @@ class NotionHandler {
     }
   }
 
-  // Update page content blocks
+  // Update only the properties filled from the given document fields (e.g. after a file moved)
+  async updatePageFields(pageId, fields) {
+    try {
+      const schema = await this.getDatabaseSchema();
+      const properties = this.propertyMapper.buildProperties(fields, schema, { sources: Object.keys(fields) });
+
+      if (Object.keys(properties).length === 0) {
+        logger.warn(`No mapped Notion properties for ${Object.keys(fields).join(', ')}, nothing to update on page ${pageId}`);
+        return null;
+      }
+
+      const response = await this.client.request({
+        method: 'PATCH',
+        path: `/pages/${pageId}`,
+        data: { properties }
+      });
+
+      logger.info(`Updated ${Object.keys(properties).join(', ')} on Notion page ${pageId}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to update fields on Notion page ${pageId}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Upload a local file with Notion's file upload API, in parts when it is over the single-part limit.
+  // Returns { id, name, contentType } for a Files property or a pdf/image/file block; Notion expires
+  // uploads that are not attached within an hour.
+  async uploadFile(filePath, fileName) {
+    try {
+      const extension = path.extname(filePath).toLowerCase();
+      const contentType = CONTENT_TYPES[extension] || 'application/octet-stream';
+      // Notion checks the name's extension against the content type
+      const name = path.extname(fileName) ? fileName : `${fileName}${extension}`;
+
+      const { size } = await fs.stat(filePath);
+      const multiPart = size > SINGLE_PART_UPLOAD_LIMIT;
+      const partSize = multiPart ? UPLOAD_PART_SIZE : size;
+      const numberOfParts = multiPart ? Math.ceil(size / UPLOAD_PART_SIZE) : 1;
+
+      logger.info(`Uploading ${name} to Notion (${size} bytes${multiPart ? `, ${numberOfParts} parts` : ''})`);
+
+      const response = await this.client.request({
+        method: 'POST',
+        path: '/file_uploads',
+        data: {
+          filename: name,
+          content_type: contentType,
+          ...(multiPart ? { mode: 'multi_part', number_of_parts: numberOfParts } : { mode: 'single_part' })
+        }
+      });
+      const uploadId = response.data.id;
+
+      // Parts are read one at a time so large files are never held in memory whole
+      const handle = await fs.open(filePath, 'r');
+      try {
+        for (let part = 1; part <= numberOfParts; part++) {
+          const offset = (part - 1) * partSize;
+          const buffer = Buffer.alloc(Math.min(partSize, size - offset));
+          await handle.read(buffer, 0, buffer.length, offset);
+          await this.sendFilePart(uploadId, buffer, name, contentType, multiPart ? part : null);
+        }
+      } finally {
+        await handle.close();
+      }
+
+      if (multiPart) {
+        await this.client.request({ method: 'POST', path: `/file_uploads/${uploadId}/complete` });
+      }
+
+      logger.info(`Uploaded ${name} to Notion: ${uploadId}`);
+      return { id: uploadId, name, contentType };
+    } catch (error) {
+      logger.error(`Failed to upload ${fileName} to Notion:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Send the file contents (or one part of them) as multipart/form-data. The body is built as a buffer
+  // so the client can resend it on a retry.
+  async sendFilePart(uploadId, buffer, fileName, contentType, partNumber = null) {
+    const form = new FormData();
+    form.append('file', buffer, { filename: fileName, contentType });
+    if (partNumber) {
+      form.append('part_number', String(partNumber));
+    }
+
+    await this.client.request({
+      method: 'POST',
+      path: `/file_uploads/${uploadId}/send`,
+      data: form.getBuffer(),
+      headers: form.getHeaders()
+    });
+  }
+
+  // Archive (trash) a page
+  async archivePage(pageId) {
+    try {
+      const response = await this.client.request({
+        method: 'PATCH',
+        path: `/pages/${pageId}`,
+        data: { archived: true }
+      });
+
+      logger.info(`Archived Notion page ${pageId}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to archive Notion page ${pageId}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Replace a page's content blocks. The new blocks are appended after the old ones, which are only
+  // deleted once the upload succeeded; a failed upload is rolled back so the old content stays.
   async updatePageContent(pageId, blocks) {
     try {
-      // First, delete all existing blocks
-      await this.deletePageBlocks(pageId);
-      
-      // Then add new blocks
-      for (const block of blocks) {
-        await axios({
-          method: 'PATCH',
-          url: `${this.baseURL}/blocks/${pageId}/children`,
-          headers: this.getHeaders(),
-          data: {
-            children: [block]
-          }
-        });
+      // Collect every top-level block first so deletions do not disturb pagination
+      const oldBlocks = await this.listBlockChildren(pageId);
+      const oldIds = new Set(oldBlocks.map(block => block.id));
+
+      const report = this.createUploadReport(blocks);
+      try {
+        await this.appendBlocks(pageId, blocks, report);
+      } catch (error) {
+        await this.removeNewBlocks(pageId, oldIds);
+        throw error;
       }
+
+      await this.deleteBlocks(oldBlocks);
+      this.logUploadReport(pageId, report);
+      return report;
     } catch (error) {
       logger.error(`Failed to update page content for ${pageId}:`, error.message);
       throw error;
     }
   }
 
-  // Delete all blocks in a page
-  async deletePageBlocks(pageId) {
+  // Delete the blocks of a partial upload (everything not in oldIds), keeping the page's previous content
+  async removeNewBlocks(pageId, oldIds) {
     try {
-      // Get all blocks in the page
-      const response = await axios({
+      const blocks = await this.listBlockChildren(pageId);
+      await this.deleteBlocks(blocks.filter(block => !oldIds.has(block.id)));
+    } catch (error) {
+      logger.error(`Failed to roll back partial content on page ${pageId}:`, error.message);
+    }
+  }
+
+  // Delete blocks (nested children go with their parent)
+  async deleteBlocks(blocks) {
+    for (const block of blocks) {
+      await this.client.request({
+        method: 'DELETE',
+        path: `/blocks/${block.id}`
+      });
+    }
+  }
+
+  // List all children of a block or page, following pagination
+  async listBlockChildren(blockId) {
+    const blocks = [];
+    let startCursor;
+
+    do {
+      const query = startCursor ? `?page_size=100&start_cursor=${encodeURIComponent(startCursor)}` : '?page_size=100';
+      const response = await this.client.request({
         method: 'GET',
-        url: `${this.baseURL}/blocks/${pageId}/children`,
-        headers: this.getHeaders()
+        path: `/blocks/${blockId}/children${query}`
       });
 
-      // Delete each block
-      for (const block of response.data.results) {
-        await axios({
-          method: 'DELETE',
-          url: `${this.baseURL}/blocks/${block.id}`,
-          headers: this.getHeaders()
-        });
+      blocks.push(...response.data.results);
+      startCursor = response.data.has_more ? response.data.next_cursor : null;
+    } while (startCursor);
+
+    return blocks;
+  }
+
+  // Total number of blocks including nested children
+  countBlocks(blocks) {
+    return blocks.reduce((count, block) => count + 1 + this.countBlocks(this.getBlockChildren(block)), 0);
+  }
+
+  getBlockChildren(block) {
+    return block[block.type]?.children || [];
+  }
+
+  // Copy of a block without its nested children
+  withoutChildren(block) {
+    const { children, ...content } = block[block.type] || {};
+    return { ...block, [block.type]: content };
+  }
+
+  // Prepare one block for a request. Nested children are sent inline when they fit
+  // (at most 100 leaf blocks); anything else is returned as deferred and appended later.
+  prepareBlock(block) {
+    const children = this.getBlockChildren(block);
+
+    if (children.length === 0) {
+      return { block, deferred: [] };
+    }
+
+    // Children that have children of their own would exceed the nesting depth of one request
+    if (children.some(child => this.getBlockChildren(child).length > 0)) {
+      // Tables cannot be created without rows, so they always keep theirs inline
+      if (block.type === 'table') {
+        throw new Error('Table rows cannot contain nested blocks');
       }
+      return { block: this.withoutChildren(block), deferred: children };
+    }
+
+    const inline = children.slice(0, MAX_CHILDREN_PER_REQUEST);
+    return {
+      block: { ...block, [block.type]: { ...block[block.type], children: inline } },
+      deferred: children.slice(MAX_CHILDREN_PER_REQUEST)
+    };
+  }
+
+  // Take the next batch of blocks starting at `start`, staying within the per-request limits
+  takeBatch(blocks, start) {
+    const payload = [];
+    const deferred = [];
+    let blockCount = 0;
+    let bytes = 0;
+
+    for (let index = start; index < blocks.length && payload.length < MAX_CHILDREN_PER_REQUEST; index++) {
+      const prepared = this.prepareBlock(blocks[index]);
+      const size = 1 + this.getBlockChildren(prepared.block).length;
+      const blockBytes = Buffer.byteLength(JSON.stringify(prepared.block));
+
+      if (payload.length > 0 && (blockCount + size > MAX_BLOCKS_PER_REQUEST || bytes + blockBytes > MAX_PAYLOAD_BYTES)) {
+        break;
+      }
+
+      payload.push(prepared.block);
+      deferred.push(prepared.deferred);
+      blockCount += size;
+      bytes += blockBytes;
+    }
+
+    return { payload, deferred, start, end: start + payload.length };
+  }
+
+  // Track how much of a page's content made it to Notion
+  createUploadReport(blocks) {
+    return {
+      complete: true,
+      totalBlocks: this.countBlocks(blocks),
+      uploadedBlocks: 0,
+      batches: 0,
+      error: null
+    };
+  }
+
+  logUploadReport(pageId, report) {
+    if (report.complete) {
+      logger.info(`Uploaded ${report.uploadedBlocks} blocks to Notion page ${pageId} in ${report.batches} requests`);
+    } else {
+      logger.warn(`Notion page ${pageId} is incomplete: ${report.uploadedBlocks}/${report.totalBlocks} blocks uploaded (${report.error})`);
+    }
+  }
+
+  // After a page was created with its first batch, append the remaining blocks and deferred children
+  async uploadRemainingContent(pageId, blocks, firstBatch) {
+    const report = this.createUploadReport(blocks);
+    report.batches = 1;
+    report.uploadedBlocks = firstBatch.payload.reduce((count, block) => count + 1 + this.getBlockChildren(block).length, 0);
+
+    try {
+      if (firstBatch.deferred.some(children => children.length > 0)) {
+        // Page creation does not return block ids, so look them up to attach the deferred children
+        const created = await this.listBlockChildren(pageId);
+        await this.appendDeferredChildren(created.slice(0, firstBatch.payload.length), firstBatch.deferred, report);
+      }
+
+      await this.appendBlocks(pageId, blocks.slice(firstBatch.end), report);
     } catch (error) {
-      logger.error(`Failed to delete blocks for page ${pageId}:`, error.message);
-      throw error;
+      report.complete = false;
+      report.error = error.response?.data?.message || error.message;
+    }
+
+    this.logUploadReport(pageId, report);
+    return report;
+  }
+
+  // Append blocks under a parent in batches, recursing into children that did not fit inline.
+  // Stops at the first batch that keeps failing so content is never out of order.
+  async appendBlocks(parentId, blocks, report) {
+    let start = 0;
+
+    while (start < blocks.length) {
+      const batch = this.takeBatch(blocks, start);
+      const results = await this.appendBatch(parentId, batch.payload);
+
+      report.batches++;
+      report.uploadedBlocks += batch.payload.reduce((count, block) => count + 1 + this.getBlockChildren(block).length, 0);
+
+      await this.appendDeferredChildren(results, batch.deferred, report);
+      start = batch.end;
+    }
+  }
+
+  // Append children that were held back to the blocks created for them
+  async appendDeferredChildren(createdBlocks, deferred, report) {
+    for (let i = 0; i < deferred.length; i++) {
+      if (deferred[i].length === 0) continue;
+
+      const created = createdBlocks[i];
+      if (!created) {
+        throw new Error('Could not find created block to attach nested content to');
+      }
+      await this.appendBlocks(created.id, deferred[i], report);
+    }
+  }
+
+  // Send one batch of children, retrying the whole batch when it fails
+  async appendBatch(parentId, children) {
+    const maxAttempts = config.notion.blockBatchRetries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.client.request({
+          method: 'PATCH',
+          path: `/blocks/${parentId}/children`,
+          data: { children }
+        });
+        return response.data.results;
+      } catch (error) {
+        // Validation errors will fail the same way again
+        const status = error.response?.status;
+        if (attempt >= maxAttempts || status === 400) {
+          logger.error(`Failed to append ${children.length} blocks to ${parentId}:`, error.response?.data || error.message);
+          throw error;
+        }
+
+        logger.warn(`Appending ${children.length} blocks to ${parentId} failed (attempt ${attempt}/${maxAttempts}), retrying`);
+        await sleep(config.notion.retryBaseDelayMs * attempt);
+      }
     }
   }
 
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const config = require('../config/config');
+const { logger } = require('./utils');
+
+// Notion property types the mapper can write
+const SUPPORTED_TYPES = [
+  'title', 'rich_text', 'select', 'multi_select', 'date', 'number',
+  'url', 'checkbox', 'status', 'relation', 'email', 'phone_number', 'files'
+];
+
+const RICH_TEXT_LIMIT = 2000;
+
+// Maps fields of a processed document onto Notion database properties.
+// The mapping file is an object of Notion property name -> entry, where an entry has:
+//   source         dot path into the processed document, e.g. "summary" or "typedFields.total"
+//   value          constant value instead of a source ("${ENV_VAR}" is replaced from the environment)
+//   default        value used when the source is empty
+//   type           expected Notion type (optional; otherwise the database schema decides)
+//   relationValue  page id(s) to use when the property is a relation but the source is not
+//   manual         true for columns people edit by hand: only filled when the page is created
+class NotionPropertyMapper {
+  constructor(mappingFile = config.notion.propertyMappingFile) {
+    this.mappingFile = mappingFile;
+    this.mapping = this.loadMapping();
+  }
+
+  // Read the mapping file
+  loadMapping() {
+    try {
+      const mapping = JSON.parse(fs.readFileSync(this.mappingFile, 'utf8'));
+      logger.info(`Loaded Notion property mapping for ${Object.keys(mapping).length} properties from ${this.mappingFile}`);
+      return mapping;
+    } catch (error) {
+      logger.error(`Failed to load Notion property mapping from ${this.mappingFile}:`, error.message);
+      return {};
+    }
+  }
+
+  // Replace ${ENV_VAR} placeholders in constant values
+  interpolate(value) {
+    if (typeof value !== 'string') return value;
+    return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => process.env[name] || '');
+  }
+
+  // Look up a dot path such as "typedFields.total" in the document data
+  resolveSource(documentData, source) {
+    return source.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), documentData);
+  }
+
+  // Value for one mapping entry, or undefined when there is nothing to write
+  resolveValue(entry, documentData, { useDefault = true } = {}) {
+    let value = entry.value !== undefined
+      ? this.interpolate(entry.value)
+      : this.resolveSource(documentData, entry.source || '');
+
+    if (this.isEmpty(value) && useDefault && entry.default !== undefined) {
+      value = this.interpolate(entry.default);
+    }
+
+    return this.isEmpty(value) ? undefined : value;
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+
+  // Build the Notion `properties` object for a document using the database schema for types.
+  // `sources` limits the result to properties filled from those fields (for partial updates).
+  // `update` leaves out what only belongs on a new page (constants, defaults and manual columns), so
+  // a new revision does not reset values people changed in Notion.
+  buildProperties(documentData, schema, { sources = null, update = false } = {}) {
+    const properties = {};
+
+    for (const [propertyName, entry] of Object.entries(this.mapping)) {
+      if (sources && !sources.includes(entry.source)) continue;
+      if (update && (entry.manual || entry.value !== undefined)) continue;
+
+      const schemaProperty = schema[propertyName];
+
+      if (!schemaProperty) {
+        logger.warn(`Mapped property "${propertyName}" does not exist in the Notion database, skipping`);
+        continue;
+      }
+
+      const type = schemaProperty.type;
+      if (!SUPPORTED_TYPES.includes(type)) {
+        logger.warn(`Property "${propertyName}" has unsupported type "${type}", skipping`);
+        continue;
+      }
+
+      let value = this.resolveValue(entry, documentData, { useDefault: !update });
+
+      // Relations need page ids; fall back to the configured relation value
+      if (type === 'relation' && entry.relationValue !== undefined && !update) {
+        const relationValue = this.interpolate(entry.relationValue);
+        if (!this.isEmpty(relationValue)) {
+          value = relationValue;
+        } else {
+          logger.warn(`Relation value for "${propertyName}" is not configured, skipping`);
+          continue;
+        }
+      }
+
+      if (value === undefined) continue;
+
+      try {
+        properties[propertyName] = this.toPropertyValue(type, value);
+      } catch (error) {
+        logger.warn(`Could not convert value for "${propertyName}" to ${type}, skipping:`, error.message);
+      }
+    }
+
+    return properties;
+  }
+
+  // Convert a plain value into the Notion property value for the given type
+  toPropertyValue(type, value) {
+    switch (type) {
+      case 'title':
+        return { title: this.toRichText(value) };
+      case 'rich_text':
+        return { rich_text: this.toRichText(value) };
+      case 'select':
+        return { select: { name: this.toOptionName(value) } };
+      case 'status':
+        return { status: { name: this.toOptionName(value) } };
+      case 'multi_select': {
+        const names = (Array.isArray(value) ? value : String(value).split(','))
+          .map(item => this.toOptionName(item))
+          .filter(Boolean);
+        return { multi_select: Array.from(new Set(names)).map(name => ({ name })) };
+      }
+      case 'date':
+        return { date: { start: this.toDate(value) } };
+      case 'number': {
+        const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+        if (Number.isNaN(number)) throw new Error(`"${value}" is not a number`);
+        return { number };
+      }
+      case 'url':
+        return { url: String(value) };
+      case 'email':
+        return { email: String(value) };
+      case 'phone_number':
+        return { phone_number: String(value) };
+      case 'checkbox':
+        return { checkbox: value === true || ['true', 'yes', '1'].includes(String(value).toLowerCase()) };
+      case 'relation': {
+        const ids = Array.isArray(value) ? value : String(value).split(',');
+        return { relation: ids.map(id => ({ id: String(id).trim() })).filter(item => item.id) };
+      }
+      case 'files':
+        return { files: (Array.isArray(value) ? value : [value]).map(file => this.toFileObject(file)) };
+      default:
+        throw new Error(`Unsupported property type: ${type}`);
+    }
+  }
+
+  // Split text into rich_text items that respect Notion's 2000 character limit
+  toRichText(value) {
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+    const items = [];
+
+    for (let i = 0; i < text.length && items.length < 100; i += RICH_TEXT_LIMIT) {
+      items.push({ type: 'text', text: { content: text.slice(i, i + RICH_TEXT_LIMIT) } });
+    }
+    return items;
+  }
+
+  // A Notion file upload ({ id, name }) or an external URL as a Files property item
+  toFileObject(file) {
+    if (typeof file === 'string') {
+      const name = decodeURIComponent(file.split('?')[0].split('/').pop() || '') || 'File';
+      return { type: 'external', name: name.slice(0, 100), external: { url: file } };
+    }
+
+    if (!file?.id) throw new Error('file has no upload id');
+    return { type: 'file_upload', file_upload: { id: file.id }, name: String(file.name || 'File').slice(0, 100) };
+  }
+
+  // Select option names cannot contain commas and are limited to 100 characters
+  toOptionName(value) {
+    return String(value).replace(/,/g, ' ').trim().slice(0, 100);
+  }
+
+  // Normalize to an ISO date (YYYY-MM-DD) or date-time
+  toDate(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return String(value);
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`"${value}" is not a date`);
+    return date.toISOString();
+  }
+
+  // Find the mapped property that a document field is written to (e.g. 'shareableUrl' -> 'URL')
+  findPropertyForSource(source) {
+    const match = Object.entries(this.mapping).find(([, entry]) => entry.source === source);
+    return match ? match[0] : null;
+  }
+
+  // Check the mapping against the database schema and report every problem. `requiredOptions` lists
+  // values the service writes itself per source (e.g. { status: ['Source deleted'] }): a Notion
+  // `status` property rejects names that are not one of its options, unlike a select.
+  validate(schema, { requiredOptions = {} } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    for (const [propertyName, entry] of Object.entries(this.mapping)) {
+      const schemaProperty = schema[propertyName];
+
+      if (entry.value === undefined && !entry.source) {
+        errors.push(`"${propertyName}": mapping needs either "source" or "value"`);
+      }
+
+      if (!schemaProperty) {
+        errors.push(`"${propertyName}": property does not exist in the Notion database`);
+        continue;
+      }
+
+      if (!SUPPORTED_TYPES.includes(schemaProperty.type)) {
+        errors.push(`"${propertyName}": database type "${schemaProperty.type}" cannot be written`);
+        continue;
+      }
+
+      if (entry.type && entry.type !== schemaProperty.type) {
+        errors.push(`"${propertyName}": mapping expects type "${entry.type}" but the database has "${schemaProperty.type}"`);
+      }
+
+      if (schemaProperty.type === 'relation' && entry.relationValue === undefined && entry.value === undefined) {
+        warnings.push(`"${propertyName}": relation is filled from "${entry.source}", which must contain page ids`);
+      }
+
+      if (schemaProperty.type === 'status' && requiredOptions[entry.source]) {
+        const options = (schemaProperty.status?.options || []).map(option => option.name);
+        for (const name of requiredOptions[entry.source]) {
+          if (!options.includes(this.toOptionName(name))) {
+            errors.push(`"${propertyName}": status option "${name}" does not exist, add it in Notion`);
+          }
+        }
+      }
+    }
+
+    const titleProperty = Object.entries(schema).find(([, property]) => property.type === 'title');
+    if (titleProperty && !this.mapping[titleProperty[0]]) {
+      warnings.push(`Title property "${titleProperty[0]}" is not mapped, pages will be untitled`);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+}
+
+NotionPropertyMapper.SUPPORTED_TYPES = SUPPORTED_TYPES;
+
+module.exports = NotionPropertyMapper;
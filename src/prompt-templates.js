@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { logger, resolveFolderSetting } = require('./utils');
+const { loadDocumentTypes } = require('./document-types');
+
+// Templates shipped with the service; PROMPTS_FOLDER only needs the templates it adds or overrides
+const BUILT_IN_FOLDER = path.join(__dirname, '..', 'config', 'prompts');
+
+// Placeholders filled in when a template is rendered
+const PLACEHOLDERS = ['text', 'documentType', 'fileName', 'folder'];
+
+const cachedTemplates = new Map();
+
+// Split a template file into its header ("key: value" lines between --- markers) and body
+function parseTemplate(name, content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Prompt template "${name}" has no header with a version`);
+  }
+
+  const header = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      header[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  if (!header.version) {
+    throw new Error(`Prompt template "${name}" has no version`);
+  }
+
+  return {
+    name: name,
+    version: header.version,
+    id: `${name}@${header.version}`,
+    system: header.system || null,
+    body: match[2].trim()
+  };
+}
+
+// Load a template by name from PROMPTS_FOLDER, falling back to the built-in templates.
+// A missing or malformed template is a configuration error, so the job is not retried.
+function loadPromptTemplate(name) {
+  if (cachedTemplates.has(name)) {
+    return cachedTemplates.get(name);
+  }
+
+  const candidates = [config.prompts.folder, BUILT_IN_FOLDER].map(folder => path.join(folder, `${name}.md`));
+  const filePath = candidates.find(candidate => fs.existsSync(candidate));
+
+  try {
+    if (!filePath) {
+      throw new Error(`Prompt template "${name}" not found in ${config.prompts.folder}`);
+    }
+
+    const template = parseTemplate(name, fs.readFileSync(filePath, 'utf8'));
+    cachedTemplates.set(name, template);
+    logger.info(`Loaded prompt template ${template.id} from ${filePath}`);
+    return template;
+  } catch (error) {
+    logger.error('Failed to load prompt template:', error.message);
+    error.retryable = false;
+    throw error;
+  }
+}
+
+// Fill in a template's placeholders. Unknown {...} sequences (such as JSON examples) are left alone.
+// When text is given but the template has no {text} placeholder, the text is appended, so a
+// custom template can never drop the document.
+function renderPrompt(template, values) {
+  const fill = (content) => content.replace(
+    new RegExp(`\\{(${PLACEHOLDERS.join('|')})\\}`, 'g'),
+    (placeholder, key) => (values[key] !== undefined && values[key] !== null ? String(values[key]) : '')
+  );
+
+  let body = template.body;
+  if (values.text !== undefined && !body.includes('{text}')) {
+    logger.warn(`Prompt template ${template.id} has no {text} placeholder, appending the text`);
+    body = `${body}\n\nText to analyze:\n{text}`;
+  }
+
+  return {
+    system: template.system ? fill(template.system) : null,
+    user: fill(body)
+  };
+}
+
+// Analysis template for a document: the folder's template (ANALYSIS_PROMPT_FOLDERS), then the
+// document type's "analysisPrompt", then the default "analysis" template
+function selectAnalysisTemplate(folderPath, documentType) {
+  const folderTemplate = resolveFolderSetting(config.prompts.analysisFolderTemplates, folderPath, null);
+  const typeTemplate = loadDocumentTypes()[documentType]?.analysisPrompt;
+
+  return loadPromptTemplate(folderTemplate || typeTemplate || 'analysis');
+}
+
+// Every analysis template a folder can end up using (the document type is only known after
+// classification). Used to key cached analyses.
+function getAnalysisTemplateCandidates(folderPath) {
+  const folderTemplate = resolveFolderSetting(config.prompts.analysisFolderTemplates, folderPath, null);
+  if (folderTemplate) {
+    return [loadPromptTemplate(folderTemplate)];
+  }
+
+  const typeTemplates = Object.values(loadDocumentTypes())
+    .map(definition => definition.analysisPrompt)
+    .filter(Boolean);
+
+  return Array.from(new Set(['analysis', ...typeTemplates])).map(name => loadPromptTemplate(name));
+}
+
+// Vision (OCR) template for a folder: VISION_PROMPT_FOLDERS, then the default "vision" template
+function selectVisionTemplate(folderPath) {
+  return loadPromptTemplate(resolveFolderSetting(config.prompts.visionFolderTemplates, folderPath, 'vision'));
+}
+
+module.exports = {
+  loadPromptTemplate,
+  renderPrompt,
+  selectAnalysisTemplate,
+  selectVisionTemplate,
+  getAnalysisTemplateCandidates
+};
@@ -0,0 +1,143 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const { logger, readJsonFile, writeJsonFile } = require('./utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stages whose results are cached: 'extraction' (text and OCR) and 'analysis'
+// (classification, summary and typed fields)
+const STAGES = ['extraction', 'analysis'];
+
+// Hash of the settings a cached result depends on (provider, model, prompt version, ...)
+function hashSettings(settings) {
+  return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 16);
+}
+
+// Local cache of extraction and analysis results, so the same file content is not sent to a paid
+// model twice (force scans, reprocessing). Each stage is stored separately and keyed by the file's
+// content hash plus the settings that produced the result, so a new analysis model only misses the
+// analysis stage and OCR results are reused. Entries live in DATA_FOLDER/cache/<stage>/<contentHash>.<settingsHash>.json.
+class ResultCache {
+  constructor() {
+    this.cachePath = path.join(config.storage.dataFolder, 'cache');
+    this.enabled = config.cache.enabled;
+    this.maxAgeDays = config.cache.maxAgeDays;
+  }
+
+  // Path of the entry for a stage, content hash and settings
+  getEntryPath(stage, contentHash, settings) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown cache stage: ${stage}`);
+    }
+    return path.join(this.cachePath, stage, `${contentHash}.${hashSettings(settings)}.json`);
+  }
+
+  // Cached result, or null on a miss (or when the cache is disabled or the content hash is unknown)
+  async get(stage, contentHash, settings) {
+    if (!this.enabled || !contentHash) return null;
+
+    try {
+      const entry = await readJsonFile(this.getEntryPath(stage, contentHash, settings));
+      if (!entry) return null;
+
+      if (Date.now() - new Date(entry.createdAt).getTime() > this.maxAgeDays * DAY_MS) {
+        return null;
+      }
+
+      logger.info(`Using cached ${stage} result from ${entry.createdAt}`);
+      return entry.result;
+    } catch (error) {
+      logger.warn(`Could not read cached ${stage} result:`, error.message);
+      return null;
+    }
+  }
+
+  // Store a result (a failed write only costs a cache miss later)
+  async set(stage, contentHash, settings, result) {
+    if (!this.enabled || !contentHash) return;
+
+    try {
+      await writeJsonFile(this.getEntryPath(stage, contentHash, settings), {
+        stage: stage,
+        contentHash: contentHash,
+        settings: settings,
+        createdAt: new Date().toISOString(),
+        result: result
+      });
+    } catch (error) {
+      logger.warn(`Could not cache ${stage} result:`, error.message);
+    }
+  }
+
+  // Delete entries, optionally only one stage and/or one content hash. Returns the number deleted.
+  async invalidate({ stage = null, contentHash = null, olderThan = null } = {}) {
+    const stages = stage ? [stage] : STAGES;
+    let deleted = 0;
+
+    for (const stageName of stages) {
+      if (!STAGES.includes(stageName)) {
+        throw new Error(`Unknown cache stage: ${stageName}`);
+      }
+
+      const stagePath = path.join(this.cachePath, stageName);
+      let files = [];
+      try {
+        files = await fs.readdir(stagePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      for (const file of files) {
+        if (contentHash && !file.startsWith(`${contentHash}.`)) continue;
+
+        const filePath = path.join(stagePath, file);
+        if (olderThan) {
+          const stats = await fs.stat(filePath);
+          if (stats.mtimeMs >= olderThan) continue;
+        }
+
+        await fs.unlink(filePath);
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      logger.info(`Deleted ${deleted} cached result(s)${stage ? ` for ${stage}` : ''}${contentHash ? ` of ${contentHash}` : ''}`);
+    }
+    return deleted;
+  }
+
+  // Drop entries past the maximum age (run on startup)
+  async prune() {
+    return await this.invalidate({ olderThan: Date.now() - this.maxAgeDays * DAY_MS });
+  }
+
+  // Number of entries and bytes per stage
+  async getStats() {
+    const stats = { enabled: this.enabled, maxAgeDays: this.maxAgeDays, stages: {} };
+
+    for (const stage of STAGES) {
+      const stagePath = path.join(this.cachePath, stage);
+      let files = [];
+      try {
+        files = await fs.readdir(stagePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      let bytes = 0;
+      for (const file of files) {
+        bytes += (await fs.stat(path.join(stagePath, file))).size;
+      }
+      stats.stages[stage] = { entries: files.length, bytes: bytes };
+    }
+
+    return stats;
+  }
+}
+
+ResultCache.STAGES = STAGES;
+
+module.exports = ResultCache;
@@ -0,0 +1,119 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const {
+  PDFDocument,
+  StandardFonts,
+  TextRenderingMode,
+  pushGraphicsState,
+  popGraphicsState,
+  beginText,
+  endText,
+  setFontAndSize,
+  setTextRenderingMode,
+  setCharacterSqueeze,
+  moveText,
+  showText
+} = require('pdf-lib');
+
+// Images are placed on pages no larger than A4 (in points)
+const MAX_PAGE_SIZE = 842;
+const MAX_FONT_SIZE = 12;
+
+// Replace characters the standard font cannot encode (WinAnsi) so the text layer never fails to build
+function toEncodableText(font, characterSet, text) {
+  return Array.from(text.replace(/\t/g, ' '))
+    .map(character => (characterSet.has(character.codePointAt(0)) ? character : '?'))
+    .join('');
+}
+
+// Add OCR text to a page as invisible text. There are no word positions, so lines are spread evenly
+// down the page and squeezed to the page width: the page becomes searchable and copyable, but a
+// search hit highlights an approximate area.
+function addInvisibleText(page, font, characterSet, text) {
+  const lines = text.split('\n').map(line => toEncodableText(font, characterSet, line.trim())).filter(Boolean);
+  if (lines.length === 0) return;
+
+  const { width, height } = page.getSize();
+  const margin = Math.min(width, height) * 0.05;
+  const lineHeight = (height - margin * 2) / lines.length;
+  const fontSize = Math.max(1, Math.min(MAX_FONT_SIZE, lineHeight * 0.8));
+  const fontKey = page.node.newFontDictionary(font.name, font.ref);
+
+  const operators = [
+    pushGraphicsState(),
+    beginText(),
+    setFontAndSize(fontKey, fontSize),
+    setTextRenderingMode(TextRenderingMode.Invisible),
+    moveText(margin, height - margin - fontSize)
+  ];
+
+  for (const line of lines) {
+    const textWidth = font.widthOfTextAtSize(line, fontSize);
+    const squeeze = textWidth > 0 ? Math.min(100, ((width - margin * 2) / textWidth) * 100) : 100;
+
+    operators.push(setCharacterSqueeze(squeeze), showText(font.encodeText(line)), moveText(0, -lineHeight));
+  }
+
+  operators.push(endText(), popGraphicsState());
+  page.pushOperators(...operators);
+}
+
+// Add an invisible text layer to the OCR'd pages of a PDF. pages: [{ pageNumber, text, source }]
+async function addTextLayerToPdf(pdfBuffer, pages) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const characterSet = new Set(font.getCharacterSet());
+  const pdfPages = pdfDoc.getPages();
+
+  for (const page of pages) {
+    if (page.source !== 'ocr' || !page.text || !pdfPages[page.pageNumber - 1]) continue;
+    addInvisibleText(pdfPages[page.pageNumber - 1], font, characterSet, page.text);
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+// Build a one-page PDF from an image with the OCR text as an invisible layer
+async function createPdfFromImage(imageBuffer, extension, text) {
+  const pdfDoc = await PDFDocument.create();
+  const format = extension.toLowerCase().replace(/^\./, '');
+
+  // pdf-lib only embeds JPEG and PNG; other formats (TIFF, WebP) are converted first
+  const image = ['jpg', 'jpeg'].includes(format)
+    ? await pdfDoc.embedJpg(imageBuffer)
+    : await pdfDoc.embedPng(format === 'png' ? imageBuffer : await sharp(imageBuffer).png().toBuffer());
+
+  const scale = Math.min(1, MAX_PAGE_SIZE / Math.max(image.width, image.height));
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  const page = pdfDoc.addPage([width, height]);
+  page.drawImage(image, { x: 0, y: 0, width, height });
+
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  addInvisibleText(page, font, new Set(font.getCharacterSet()), text || '');
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+// Searchable PDF for a processed PDF or image, built from the pages that went through OCR.
+// Returns null when nothing was OCRed (e.g. the PDF already has a text layer or the file is a Word document).
+async function createSearchablePdf(filePath, pages) {
+  const ocrPages = (pages || []).filter(page => page.source === 'ocr' && page.text && page.text.trim());
+  if (ocrPages.length === 0) return null;
+
+  const fileBuffer = await fs.readFile(filePath);
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.pdf') {
+    return await addTextLayerToPdf(fileBuffer, ocrPages);
+  }
+  return await createPdfFromImage(fileBuffer, extension, ocrPages[0].text);
+}
+
+module.exports = {
+  createSearchablePdf,
+  addTextLayerToPdf,
+  createPdfFromImage
+};
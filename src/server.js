@@ -1,9 +1,15 @@
 const express = require('express');
+const path = require('path');
 const config = require('../config/config');
-const { logger, ensureTempDir, cleanupTempFile, isValidFileSize } = require('./utils');
+const { logger, ensureTempDir, cleanupTempFile, isValidFileSize, resolveFolderSetting } = require('./utils');
 const DropboxHandler = require('./dropbox-handler');
 const NotionHandler = require('./notion-handler');
 const DocumentProcessor = require('./document-processor');
+const JobQueue = require('./job-queue');
+const FileIndex = require('./file-index');
+const CostLedger = require('./cost-ledger');
+const ResultCache = require('./result-cache');
+const { createSearchablePdf } = require('./searchable-pdf');
 
 class AutomationServer {
   constructor() {
@@ -22,10 +28,13 @@ class AutomationServer {
       this.documentProcessor = new DocumentProcessor();
       console.log('✅ Document processor created');
 
-      // API rate limiting
-      this.apiCallCount = 0;
-      this.dailyApiLimit = config.apiLimits.dailyApiLimit;
-      this.lastResetDate = new Date().toDateString();
+      this.jobQueue = new JobQueue();
+      this.fileIndex = new FileIndex();
+      this.costLedger = new CostLedger();
+      this.propertyMappingStatus = null;
+      this.syncInProgress = false;
+      this.syncPending = false;
+      console.log('✅ Job queue created');
 
       console.log('🔧 Setting up middleware...');
       this.setupMiddleware();
@@ -82,12 +91,18 @@ class AutomationServer {
             },
             notion: {
               available: !!this.notionHandler,
-              status: 'operational'
+              status: 'operational',
+              propertyMapping: this.propertyMappingStatus || null
             },
             documentProcessing: {
               available: !!this.documentProcessor,
               status: this.documentProcessor ? 'operational' : 'unavailable'
-            }
+            },
+            jobQueue: {
+              running: this.jobQueue.running,
+              jobs: this.jobQueue.getStats()
+            },
+            budget: this.costLedger.checkBudget()
           }
         };
 
@@ -126,17 +141,32 @@ class AutomationServer {
           return res.status(401).json({ error: 'Invalid signature' });
         }
 
-        // Process the webhook notification
-        const processedFiles = await this.dropboxHandler.processWebhookNotification(req.body);
+        // Reply right away; the changes are listed and queued in the background
+        res.json({ status: 'accepted' });
+
+        this.syncDropboxChanges(req.body);
+      } catch (error) {
+        logger.error('Error processing Dropbox webhook:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Reset the stored Dropbox cursor(s); with rebuild=true the folders are re-listed immediately
+    this.app.post('/dropbox/reset-cursor', async (req, res) => {
+      try {
+        const { folderPath, rebuild } = req.body;
+
+        const resetFolders = await this.dropboxHandler.resetCursor(folderPath || null);
+        let jobsQueued = 0;
 
-        // Process each document file
-        for (const file of processedFiles) {
-          await this.processDocumentFile(file);
+        if (rebuild) {
+          logger.info('Rebuilding Dropbox sync from scratch');
+          jobsQueued = await this.syncDropboxChanges({ list_folder: { accounts: [] } });
         }
 
-        res.json({ status: 'success', filesProcessed: processedFiles.length });
+        res.json({ status: 'success', resetFolders: resetFolders, rebuilt: !!rebuild, jobsQueued: jobsQueued });
       } catch (error) {
-        logger.error('Error processing Dropbox webhook:', error);
+        logger.error('Error resetting Dropbox cursor:', error);
         res.status(500).json({ error: error.message });
       }
     });
@@ -144,34 +174,23 @@ class AutomationServer {
     // Manual file processing endpoint
     this.app.post('/process-file', async (req, res) => {
       try {
-        const { filePath, customName } = req.body;
+        const { filePath, customName, force, bypassCache } = req.body;
 
         if (!filePath) {
           return res.status(400).json({ error: 'filePath is required' });
         }
 
-        logger.info('Manual file processing requested', { filePath, customName });
+        logger.info('Manual file processing requested', { filePath, customName, force, bypassCache });
 
         const fileMetadata = await this.dropboxHandler.getFileMetadata(filePath);
-        const localPath = await this.dropboxHandler.downloadFile(filePath, fileMetadata.name);
-        const shareableUrl = await this.dropboxHandler.createShareableLink(filePath);
-
-        const processedFile = {
-          originalPath: filePath,
-          localPath: localPath,
-          fileName: customName || fileMetadata.name,
-          fileType: 'document',
-          size: fileMetadata.size,
-          serverModified: fileMetadata.server_modified,
-          shareableUrl: shareableUrl
-        };
-
-        await this.processDocumentFile(processedFile);
-
-        res.json({
-          status: 'success',
-          message: 'File processed successfully',
-          file: processedFile
+        const fileInfo = this.dropboxHandler.toFileInfo(fileMetadata);
+        const job = await this.enqueueFile(fileInfo, { customName, force: !!force, bypassCache: !!bypassCache });
+
+        res.status(202).json({
+          status: 'queued',
+          message: 'File queued for processing',
+          jobId: job.id,
+          file: fileInfo
         });
       } catch (error) {
         logger.error('Manual file processing error:', error);
@@ -182,46 +201,24 @@ class AutomationServer {
     // Force scan endpoint
     this.app.post('/force-scan', async (req, res) => {
       try {
-        logger.info('Force scan requested - processing all document files from Dropbox');
+        logger.info('Force scan requested - queueing all document files from Dropbox');
 
         const results = [];
 
         // Scan Dropbox for document files
         try {
-          const documentFiles = await this.dropboxHandler.listDocumentFiles();
-          logger.info(`Found ${documentFiles.length} document files in Dropbox`);
-
-          for (const file of documentFiles) {
-            try {
-              const localPath = await this.dropboxHandler.downloadFile(file.path_display, file.name);
-              const shareableUrl = await this.dropboxHandler.createShareableLink(file.path_display);
-
-              const processedFile = {
-                originalPath: file.path_display,
-                localPath: localPath,
-                fileName: file.name,
-                fileType: 'document',
-                size: file.size,
-                serverModified: file.server_modified,
-                shareableUrl: shareableUrl
-              };
-
-              await this.processDocumentFile(processedFile);
-              results.push({
-                fileName: file.name,
-                status: 'processed',
-                source: 'dropbox'
-              });
-            } catch (error) {
-              logger.error(`Failed to process document file ${file.name}:`, error.message);
-              results.push({
-                fileName: file.name,
-                status: 'error',
-                reason: error.message,
-                source: 'dropbox'
-              });
-            }
+          // Stream the folder listing page by page so large folders are never held in memory
+          for await (const file of this.dropboxHandler.iterateDocumentFiles()) {
+            const job = await this.enqueueFile(this.dropboxHandler.toFileInfo(file, this.dropboxHandler.pdfFolderPath));
+            results.push({
+              fileName: file.name,
+              status: 'queued',
+              jobId: job.id,
+              source: 'dropbox'
+            });
           }
+
+          logger.info(`Queued ${results.length} document files from Dropbox`);
         } catch (error) {
           logger.error('Failed to scan Dropbox:', error.message);
         }
@@ -236,43 +233,632 @@ class AutomationServer {
         res.status(500).json({ error: error.message });
       }
     });
+
+    // Model spend by day, folder, stage and model, with the budget status
+    this.app.get('/costs', (req, res) => {
+      try {
+        const days = parseInt(req.query.days) || 30;
+        res.json(this.costLedger.getReport({ days }));
+      } catch (error) {
+        logger.error('Error building cost report:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Extraction and analysis cache: entry counts per stage
+    this.app.get('/cache', async (req, res) => {
+      try {
+        res.json(await this.documentProcessor.cache.getStats());
+      } catch (error) {
+        logger.error('Error reading result cache:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Delete cached results, optionally only one stage and/or one file's content hash
+    this.app.delete('/cache', async (req, res) => {
+      try {
+        const { stage, contentHash } = req.query;
+        if (stage && !ResultCache.STAGES.includes(stage)) {
+          return res.status(400).json({ error: `stage must be one of: ${ResultCache.STAGES.join(', ')}` });
+        }
+
+        const deleted = await this.documentProcessor.cache.invalidate({ stage, contentHash });
+        res.json({ status: 'success', deleted: deleted });
+      } catch (error) {
+        logger.error('Error invalidating result cache:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.setupJobRoutes();
+  }
+
+  // Routes for inspecting, retrying and cancelling processing jobs
+  setupJobRoutes() {
+    // List jobs, optionally filtered by status, folder and creation date
+    this.app.get('/jobs', (req, res) => {
+      try {
+        const { status, folder, since, until, date } = req.query;
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+
+        const statuses = status ? status.split(',') : null;
+        const folderLower = folder ? folder.toLowerCase() : null;
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const untilTime = until ? new Date(until).getTime() : null;
+
+        const jobs = this.jobQueue.listJobs().filter(job => {
+          if (statuses && !statuses.includes(job.status)) return false;
+          if (folderLower && !(job.payload.folderPath || '').toLowerCase().startsWith(folderLower)) return false;
+          if (date && !job.createdAt.startsWith(date)) return false;
+
+          const createdTime = new Date(job.createdAt).getTime();
+          if (sinceTime && createdTime < sinceTime) return false;
+          if (untilTime && createdTime > untilTime) return false;
+
+          return true;
+        });
+
+        res.json({
+          total: jobs.length,
+          limit: limit,
+          offset: offset,
+          jobs: jobs.slice(offset, offset + limit).map(job => this.summarizeJob(job))
+        });
+      } catch (error) {
+        logger.error('Error listing jobs:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Show one job with per-stage timings, cost and error
+    this.app.get('/jobs/:id', (req, res) => {
+      const job = this.jobQueue.getJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.json({
+        ...this.summarizeJob(job),
+        payload: job.payload,
+        result: job.result,
+        error: job.error,
+        errors: job.errors || [],
+        nextAttemptAt: job.nextAttemptAt,
+        stages: this.jobQueue.getStageTimings(job),
+        costs: this.costLedger.getJobCosts(job.id)
+      });
+    });
+
+    // Retry a failed job
+    this.app.post('/jobs/:id/retry', async (req, res) => {
+      try {
+        const job = await this.jobQueue.retry(req.params.id);
+        if (!job) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({ status: 'queued', job: this.summarizeJob(job) });
+      } catch (error) {
+        res.status(409).json({ error: error.message });
+      }
+    });
+
+    // Cancel a queued job
+    this.app.post('/jobs/:id/cancel', async (req, res) => {
+      try {
+        const job = await this.jobQueue.cancel(req.params.id);
+        if (!job) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({ status: 'cancelled', job: this.summarizeJob(job) });
+      } catch (error) {
+        res.status(409).json({ error: error.message });
+      }
+    });
+  }
+
+  // Compact job representation for API responses
+  summarizeJob(job) {
+    // Spend comes from the cost ledger, so failed, retried and dead-lettered jobs show theirs too
+    const costs = this.costLedger.getJobCosts(job.id);
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      fileName: job.payload.fileName,
+      filePath: job.payload.originalPath,
+      folderPath: job.payload.folderPath,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      deadLetter: !!job.deadLetter,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      cost: costs.length > 0 ? costs.reduce((sum, stage) => sum + stage.cost, 0) : (job.result?.cost ?? null),
+      pageId: job.result?.pageId ?? null,
+      contentComplete: job.result?.contentUpload ? job.result.contentUpload.complete : null,
+      error: job.error ? job.error.message : null
+    };
+  }
+
+  // List Dropbox changes and queue a job per changed document.
+  // Concurrent webhooks are coalesced into a single follow-up sync so cursors are never read twice.
+  async syncDropboxChanges(notification) {
+    if (this.syncInProgress) {
+      this.syncPending = true;
+      return 0;
+    }
+
+    this.syncInProgress = true;
+    let jobsQueued = 0;
+
+    try {
+      do {
+        this.syncPending = false;
+
+        await this.dropboxHandler.processWebhookNotification(notification, async (folderPath, documentFiles, entries) => {
+          for (const file of documentFiles) {
+            await this.enqueueFile(file);
+            jobsQueued++;
+          }
+
+          // Deleted entries are also reported for files moved elsewhere; the job tells them apart
+          for (const entry of entries.filter(item => item['.tag'] === 'deleted')) {
+            for (const indexed of this.fileIndex.findUnderPath(entry.path_display || entry.path_lower)) {
+              await this.enqueueSourceRemoved(indexed);
+              jobsQueued++;
+            }
+          }
+        });
+      } while (this.syncPending);
+    } catch (error) {
+      logger.error('Error syncing Dropbox changes:', error);
+    } finally {
+      this.syncInProgress = false;
+    }
+
+    return jobsQueued;
+  }
+
+  // Queue a Dropbox file for processing
+  async enqueueFile(fileInfo, options = {}) {
+    return await this.jobQueue.enqueue('process-file', {
+      ...fileInfo,
+      customName: options.customName || null,
+      force: options.force || false,
+      bypassCache: options.bypassCache || false
+    }, {
+      dedupeKey: fileInfo.id || fileInfo.originalPath.toLowerCase()
+    });
+  }
+
+  // Queue a check for an indexed file that disappeared from its path
+  async enqueueSourceRemoved(indexed) {
+    return await this.jobQueue.enqueue('source-removed', {
+      id: indexed.id,
+      originalPath: indexed.path,
+      folderPath: path.posix.dirname(indexed.path),
+      fileName: path.posix.basename(indexed.path)
+    }, {
+      dedupeKey: `removed:${indexed.id}`
+    });
+  }
+
+  // Job handler: dispatch by job type
+  async runJob(job, context) {
+    switch (job.type) {
+      case 'process-file':
+        return await this.runProcessFileJob(job, context);
+      case 'source-removed':
+        return await this.runSourceRemovedJob(job, context);
+      default: {
+        const error = new Error(`Unknown job type: ${job.type}`);
+        error.retryable = false;
+        throw error;
+      }
+    }
+  }
+
+  // Download a queued Dropbox file and run it through the pipeline
+  async runProcessFileJob(job, { setStage }) {
+    const { customName, force, bypassCache, ...file } = job.payload;
+
+    // Dedupe on the Dropbox file id: local index first, then the "Dropbox File ID" property in Notion
+    const indexed = this.fileIndex.get(file.id) || await this.adoptNotionPage(file);
+
+    // Skip files whose current revision is already on their Notion page
+    if (!force && this.fileIndex.isUnchanged(indexed, file)) {
+      // Same content at a new path: a rename or a move between watched folders
+      if (indexed.path !== file.originalPath) {
+        return await this.mirrorMove(indexed, file.originalPath, setStage);
+      }
+
+      logger.info(`File ${file.fileName} is unchanged since it was processed, skipping`);
+      const result = { skipped: 'unchanged', pageId: indexed.pageId };
+
+      // Files handled before archiving was enabled are moved on the next scan
+      if (config.dropbox.archiveEnabled && indexed.pageId) {
+        result.relocation = await this.relocateSourceFile(file, { kind: 'processed', pageId: indexed.pageId });
+      }
+      return result;
+    }
+
+    // Identical content uploaded under another name or path
+    if (!indexed && !force && config.dropbox.duplicateContentAction === 'skip') {
+      const duplicateOf = await this.findDuplicateContent(file);
+      if (duplicateOf) {
+        logger.info(`File ${file.fileName} has the same content as the file on Notion page ${duplicateOf}, skipping`);
+        await this.fileIndex.recordDuplicate(file, duplicateOf);
+        return { skipped: 'duplicate content', duplicateOf: duplicateOf };
+      }
+    }
+
+    // Nothing is spent once a budget is used up: wait for it to reset, or fall back to local OCR
+    const budget = this.costLedger.checkBudget();
+    let ocrProvider = null;
+    if (budget.exceeded) {
+      if (config.costs.budgetAction !== 'local-ocr') {
+        const error = new Error(budget.reason);
+        error.deferUntil = budget.resetsAt;
+        throw error;
+      }
+      logger.warn(`${budget.reason}, processing ${file.fileName} with local OCR`);
+      ocrProvider = 'tesseract';
+    }
+
+    await setStage('downloading');
+    const localPath = await this.dropboxHandler.downloadFile(file.originalPath, file.fileName);
+    const shareableUrl = await this.getShareableLink(file.originalPath);
+
+    const fileInfo = {
+      ...file,
+      localPath: localPath,
+      fileName: customName || file.fileName,
+      shareableUrl: shareableUrl
+    };
+
+    const { searchablePdf, ...result } = await this.processDocumentFile(fileInfo, {
+      onStage: setStage,
+      jobId: job.id,
+      ocrProvider: ocrProvider,
+      useCache: !bypassCache
+    });
+
+    // Handled files are renamed and/or leave the watched folder in a single move
+    // (duplicates count as handled for archiving; they are already in Notion)
+    const archive = config.dropbox.archiveEnabled && (result.pageId || result.skipped === 'duplicate content');
+    if (archive || result.renameTo) {
+      result.relocation = await this.relocateSourceFile(file, {
+        kind: archive ? 'processed' : null,
+        fileName: result.renameTo,
+        pageId: result.pageId
+      });
+    }
+
+    // The text layer is written where the file ended up
+    if (searchablePdf) {
+      const currentPath = result.relocation?.movedTo || file.originalPath;
+      const currentRev = result.relocation?.rev || file.rev;
+      result.searchablePdf = await this.writeSearchablePdf(file, currentPath, currentRev, searchablePdf, result.pageId);
+    }
+
+    return result;
+  }
+
+  // Upload the searchable PDF. 'replace' overwrites the original PDF only if it is still at the processed
+  // revision, then records the new revision so the resulting Dropbox change is not processed again.
+  // Images (and files without a known revision) get a "<name><suffix>.pdf" sidecar instead.
+  // Problems are logged but never fail the job.
+  async writeSearchablePdf(file, dropboxPath, rev, { mode, buffer }, pageId = null) {
+    const extension = path.posix.extname(dropboxPath);
+    const isPdf = extension.toLowerCase() === '.pdf';
+
+    try {
+      if (mode === 'replace' && isPdf && rev) {
+        const metadata = await this.dropboxHandler.uploadFile(dropboxPath, buffer, {
+          mode: { '.tag': 'update', update: rev },
+          autorename: false
+        });
+        await this.fileIndex.updateRevision(file.id, { rev: metadata.rev, contentHash: metadata.content_hash });
+        if (pageId) {
+          await this.notionHandler.updatePageFields(pageId, { contentHash: metadata.content_hash });
+        }
+        return { replaced: metadata.path_display };
+      }
+
+      const sidecarPath = `${dropboxPath.slice(0, dropboxPath.length - extension.length)}${config.searchablePdf.suffix}.pdf`;
+      const metadata = await this.dropboxHandler.uploadFile(sidecarPath, buffer, { mode: 'overwrite', autorename: false });
+      return { sidecar: metadata.path_display };
+    } catch (error) {
+      logger.warn(`Could not write searchable PDF for ${dropboxPath}:`, error.message);
+      return { error: error.message };
+    }
+  }
+
+  // Move a file to the Processed or Failed folder (kind) and/or give it a new name, then point its index
+  // entry and Notion page at the new path. The index is updated right after the move so the resulting
+  // Dropbox change is not mistaken for a deletion. Name collisions are resolved by Dropbox's autorename.
+  // Problems are logged but never fail the job: the document itself was handled.
+  async relocateSourceFile(file, { kind = null, fileName = null, pageId = null } = {}) {
+    const currentFolder = path.posix.dirname(file.originalPath);
+    const targetFolder = kind && !this.dropboxHandler.isInArchiveFolder(file.originalPath, kind)
+      ? this.dropboxHandler.getArchiveFolder(kind)
+      : currentFolder;
+    const targetPath = path.posix.join(targetFolder, fileName || path.posix.basename(file.originalPath));
+
+    if (targetPath === file.originalPath) {
+      return { skipped: 'already in place' };
+    }
+
+    try {
+      const metadata = await this.dropboxHandler.moveFile(file.originalPath, targetPath);
+      await this.fileIndex.updatePath(file.id, metadata.path_display);
+
+      if (pageId) {
+        const shareableUrl = await this.getShareableLink(metadata.path_display);
+        await this.notionHandler.updatePageFields(pageId, {
+          shareableUrl,
+          originalPath: metadata.path_display,
+          fileName: metadata.name
+        });
+      }
+
+      return { movedTo: metadata.path_display, rev: metadata.rev };
+    } catch (error) {
+      logger.warn(`Could not move ${file.originalPath} to ${targetPath}:`, error.message);
+      return { error: error.message };
+    }
+  }
+
+  // A file job failed for good: move the file to the Failed folder so it is easy to find and fix.
+  // The job payload follows the file, so a manual retry picks it up from there. A page published from an
+  // earlier revision is pointed at the new path too.
+  async handleDeadLetter(job) {
+    if (job.type !== 'process-file' || !config.dropbox.archiveEnabled) {
+      return;
+    }
+
+    const relocation = await this.relocateSourceFile(job.payload, {
+      kind: 'failed',
+      pageId: this.fileIndex.get(job.payload.id)?.pageId || null
+    });
+    if (relocation.movedTo) {
+      job.payload.originalPath = relocation.movedTo;
+      job.payload.folderPath = path.posix.dirname(relocation.movedTo);
+    }
+    job.relocation = relocation;
+  }
+
+  // A page for this file id exists in Notion but not in the local index (e.g. the data folder was lost).
+  // Index it with the content hash stored on the page so an unchanged file is not processed again.
+  async adoptNotionPage(file) {
+    const page = await this.notionHandler.findPageByFileId(file.id);
+    if (!page) return null;
+
+    logger.info(`Found Notion page ${page.id} for Dropbox file ${file.id}, adding it to the file index`);
+    return await this.fileIndex.recordProcessed({
+      ...file,
+      rev: null,
+      contentHash: this.notionHandler.getPropertyText(page, 'contentHash')
+    }, { pageId: page.id });
+  }
+
+  // Page id of a published file with the same content_hash, if any
+  async findDuplicateContent(file) {
+    const indexedDuplicate = this.fileIndex.findByContentHash(file.contentHash, file.id);
+    if (indexedDuplicate) {
+      return indexedDuplicate.pageId;
+    }
+
+    // Pages kept for deleted files do not count, so a deleted file can be uploaded again
+    const pages = await this.notionHandler.findPagesByContentHash(file.contentHash);
+    const page = pages.find(candidate => !this.fileIndex.findByPageId(candidate.id)?.deletedAt);
+    return page?.id || null;
+  }
+
+  // Shared link for a file; processing continues without one if sharing is disabled or fails
+  async getShareableLink(dropboxPath) {
+    try {
+      return await this.dropboxHandler.createShareableLink(dropboxPath);
+    } catch (error) {
+      logger.warn(`Could not create a shared link for ${dropboxPath}, continuing without it:`, error.message);
+      return null;
+    }
+  }
+
+  // An indexed file is gone from its path: find out whether it was moved or deleted and mirror that in Notion
+  async runSourceRemovedJob(job, { setStage }) {
+    const indexed = this.fileIndex.get(job.payload.id);
+    if (!indexed?.pageId) {
+      return { skipped: 'not in file index' };
+    }
+
+    const metadata = await this.dropboxHandler.findFileById(indexed.id);
+    if (metadata) {
+      return await this.mirrorMove(indexed, metadata.path_display, setStage);
+    }
+
+    await setStage('publishing');
+    logger.info(`Source file ${indexed.path} was deleted, applying "${config.dropbox.deletedFileAction}" to page ${indexed.pageId}`);
+    return await this.applySourceAction(indexed, config.dropbox.deletedFileAction, { deleted: true });
+  }
+
+  // A file was moved or renamed: update its page according to the configured action
+  async mirrorMove(indexed, newPath, setStage) {
+    if (indexed.path === newPath) {
+      return { skipped: 'already at this path', pageId: indexed.pageId };
+    }
+
+    // Duplicates have no page of their own
+    if (!indexed.pageId) {
+      await this.fileIndex.updatePath(indexed.id, newPath);
+      return { skipped: 'no page for this file', movedTo: newPath };
+    }
+
+    await setStage('publishing');
+    logger.info(`File moved from ${indexed.path} to ${newPath}, applying "${config.dropbox.movedFileAction}" to page ${indexed.pageId}`);
+
+    if (config.dropbox.movedFileAction !== 'update') {
+      const result = await this.applySourceAction(indexed, config.dropbox.movedFileAction, { deleted: false });
+      await this.fileIndex.updatePath(indexed.id, newPath);
+      return { ...result, movedTo: newPath };
+    }
+
+    const shareableUrl = await this.getShareableLink(newPath);
+    await this.notionHandler.updatePageFields(indexed.pageId, { shareableUrl, originalPath: newPath });
+    await this.fileIndex.updatePath(indexed.id, newPath);
+
+    return { action: 'update', pageId: indexed.pageId, movedTo: newPath };
+  }
+
+  // Archive the page, set the "source deleted" status, or leave it alone
+  async applySourceAction(indexed, action, { deleted }) {
+    switch (action) {
+      case 'archive':
+        await this.notionHandler.archivePage(indexed.pageId);
+        // A restored file gets a fresh page
+        await this.fileIndex.remove(indexed.id);
+        break;
+      case 'status':
+        await this.notionHandler.updatePageFields(indexed.pageId, { status: config.notion.sourceDeletedStatus });
+        if (deleted) await this.fileIndex.markDeleted(indexed.id);
+        break;
+      case 'ignore':
+        break;
+      default: {
+        const error = new Error(`Unknown Dropbox file action: ${action}`);
+        error.retryable = false;
+        throw error;
+      }
+    }
+
+    return { action, pageId: indexed.pageId };
+  }
+
+  // Create a page for a new file, or update the file's page in place keeping earlier summaries
+  async publishToNotion(documentData, indexed) {
+    if (!indexed?.pageId) {
+      return await this.notionHandler.createPage(documentData);
+    }
+
+    try {
+      // A forced reprocess of the same content replaces the page's summary instead of adding a version,
+      // matching the history the file index keeps
+      const unchanged = this.fileIndex.isUnchanged(indexed, documentData);
+      logger.info(`${unchanged ? 'Reprocessed' : 'New revision of'} ${documentData.fileName}, updating Notion page ${indexed.pageId}`);
+      const page = await this.notionHandler.updatePage(indexed.pageId, {
+        ...documentData,
+        previousVersions: unchanged ? (indexed.versions || []) : this.fileIndex.getVersionHistory(indexed)
+      });
+      return { ...page, updated: true };
+    } catch (error) {
+      // The page was deleted or the integration lost access to it
+      if (error.response?.status === 404) {
+        logger.warn(`Notion page ${indexed.pageId} for ${documentData.fileName} no longer exists, creating a new one`);
+        return await this.notionHandler.createPage(documentData);
+      }
+      throw error;
+    }
   }
 
   // Process document file from Dropbox
-  async processDocumentFile(fileInfo) {
+  async processDocumentFile(fileInfo, options = {}) {
+    const onStage = options.onStage || (async () => {});
+
     try {
       logger.info(`Processing document file: ${fileInfo.fileName}`);
 
       // Validate file
       if (!this.isValidDocumentFormat(fileInfo.fileName)) {
         logger.warn(`Skipping file ${fileInfo.fileName}: unsupported document format`);
-        return;
+        await cleanupTempFile(fileInfo.localPath);
+        return { skipped: 'unsupported document format' };
       }
 
       if (!isValidFileSize(fileInfo.size)) {
         logger.warn(`Skipping file ${fileInfo.fileName}: file too large`);
-        return;
+        await cleanupTempFile(fileInfo.localPath);
+        return { skipped: 'file too large' };
       }
 
-      // Check if already processed in Notion
-      const existingPages = await this.notionHandler.searchByDropboxUrl(fileInfo.shareableUrl);
-      if (existingPages.length > 0) {
-        logger.info(`File ${fileInfo.fileName} already exists in Notion, skipping`);
-        return;
+      // Files seen before are updated in place; otherwise check for a page created before file ids were stored
+      const indexed = this.fileIndex.get(fileInfo.id);
+      if (!indexed?.pageId && fileInfo.shareableUrl) {
+        const existingPages = await this.notionHandler.searchByDropboxUrl(fileInfo.shareableUrl);
+        if (existingPages.length > 0) {
+          logger.info(`File ${fileInfo.fileName} already exists in Notion, adding it to the file index and skipping`);
+          await this.fileIndex.recordProcessed(fileInfo, { pageId: existingPages[0].id });
+          await cleanupTempFile(fileInfo.localPath);
+          return { skipped: 'already in Notion', pageId: existingPages[0].id };
+        }
       }
 
       // Process document with AI
-      const processedDocumentData = await this.documentProcessor.processDocument(fileInfo.localPath, fileInfo.fileName);
+      await onStage('extracting');
+      const processedDocumentData = await this.documentProcessor.processDocument(fileInfo.localPath, fileInfo.fileName, {
+        onStage,
+        folderPath: fileInfo.folderPath,
+        ocrProvider: options.ocrProvider || null,
+        contentHash: fileInfo.contentHash || null,
+        useCache: options.useCache !== false,
+        onUsage: (usage) => this.costLedger.record({
+          ...usage,
+          jobId: options.jobId || null,
+          fileId: fileInfo.id || null,
+          fileName: fileInfo.fileName,
+          folder: fileInfo.folderPath || null
+        })
+      });
       const completeDocumentData = { ...fileInfo, ...processedDocumentData };
+
+      // Attach the original file to the page so it survives revoked Dropbox links
+      if (config.documents.uploadFilesToNotion) {
+        completeDocumentData.fileUpload = await this.uploadOriginalFile(fileInfo);
+      }
       
-      // Create Notion page
-      const pageId = await this.notionHandler.createPage(completeDocumentData);
+      // Create the Notion page, or update the existing one when a new revision was uploaded
+      await onStage('publishing');
+      const page = await this.publishToNotion(completeDocumentData, indexed);
+
+      await this.fileIndex.recordProcessed(fileInfo, {
+        pageId: page.id,
+        title: processedDocumentData.generatedTitle,
+        summary: processedDocumentData.summary,
+        prompts: processedDocumentData.metadata.prompts
+      });
 
-      logger.info(`Successfully processed document file ${fileInfo.fileName} -> Notion page: ${pageId}`);
+      if (page.contentUpload.complete) {
+        logger.info(`Successfully processed document file ${fileInfo.fileName} -> Notion page: ${page.id}`);
+      } else {
+        logger.warn(`Processed document file ${fileInfo.fileName} -> Notion page: ${page.id}, but only part of the content was uploaded`);
+      }
+
+      // OCR text layer for scanned files, written to Dropbox by the caller after any archive move
+      const searchablePdf = await this.buildSearchablePdf(fileInfo, processedDocumentData.pages);
 
       // Clean up local file
       await cleanupTempFile(fileInfo.localPath);
 
+      // New name for the Dropbox file, applied by the caller together with any archive move
+      const renameTo = config.dropbox.renameEnabled
+        ? this.dropboxHandler.buildFileName(path.posix.basename(fileInfo.originalPath), completeDocumentData)
+        : null;
+
+      return {
+        pageId: page.id,
+        updated: !!page.updated,
+        cost: processedDocumentData.metadata.processingCost,
+        contentUpload: page.contentUpload,
+        renameTo: renameTo,
+        searchablePdf: searchablePdf,
+        needsReview: !!processedDocumentData.needsReview,
+        ocrFailedPages: processedDocumentData.metadata.ocrFailedPages || [],
+        prompts: processedDocumentData.metadata.prompts
+      };
+
     } catch (error) {
       logger.error(`Failed to process document file ${fileInfo.fileName}:`, error);
       await cleanupTempFile(fileInfo.localPath);
@@ -280,6 +866,34 @@ class AutomationServer {
     }
   }
 
+  // Upload the downloaded file to Notion. A failed upload (e.g. over the workspace's file size limit)
+  // is logged and the page is published with the Dropbox link only.
+  async uploadOriginalFile(fileInfo) {
+    try {
+      return await this.notionHandler.uploadFile(fileInfo.localPath, fileInfo.fileName);
+    } catch (error) {
+      logger.warn(`Could not upload ${fileInfo.fileName} to Notion, the page will only link to Dropbox:`, error.message);
+      return null;
+    }
+  }
+
+  // Searchable PDF for the downloaded file if the folder's SEARCHABLE_PDF_MODE asks for one.
+  // Returns { mode, buffer }, or null when disabled or nothing was OCRed (the PDF already has a text layer).
+  async buildSearchablePdf(fileInfo, pages) {
+    const mode = resolveFolderSetting(config.searchablePdf.folderModes, fileInfo.folderPath, config.searchablePdf.mode);
+    if (mode !== 'sidecar' && mode !== 'replace') {
+      return null;
+    }
+
+    try {
+      const buffer = await createSearchablePdf(fileInfo.localPath, pages);
+      return buffer ? { mode, buffer } : null;
+    } catch (error) {
+      logger.warn(`Could not build searchable PDF for ${fileInfo.fileName}:`, error.message);
+      return null;
+    }
+  }
+
   // Check if file is a valid document format
   isValidDocumentFormat(fileName) {
     const extension = fileName.toLowerCase().split('.').pop();
@@ -288,10 +902,22 @@ class AutomationServer {
   }
 
   // Start the server
-  start() {
+  async start() {
     const port = config.server.port;
 
     try {
+      // Report property mapping problems before any documents are processed
+      this.propertyMappingStatus = await this.notionHandler.validatePropertyMapping();
+
+      // Restore the file index, cost ledger and queued jobs before accepting new work
+      await this.fileIndex.load();
+      await this.costLedger.load();
+      await this.documentProcessor.cache.prune();
+      await this.jobQueue.load();
+      this.jobQueue.start((job, context) => this.runJob(job, context), {
+        onDeadLetter: (job) => this.handleDeadLetter(job)
+      });
+
       this.app.listen(port, () => {
         logger.info(`Server started on port ${port}`);
         logger.info(`Health check: http://localhost:${port}/health`);
@@ -0,0 +1,96 @@
+const config = require('../config/config');
+
+// Rough token estimate (~4 characters per token for English text with OpenAI tokenizers)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Context window (in tokens) for a model, falling back to a conservative default
+function getContextWindow(model) {
+  const windows = config.documents.modelContextWindows;
+
+  if (windows[model]) {
+    return windows[model];
+  }
+
+  // Dated snapshots such as gpt-4o-2024-08-06 share their base model's window
+  const baseModel = Object.keys(windows)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return baseModel ? windows[baseModel] : config.documents.defaultContextWindow;
+}
+
+// Split text that is too large for one chunk, preferring paragraph, then line, then word boundaries
+function splitText(text, maxTokens) {
+  const maxChars = maxTokens * 4;
+  const parts = [];
+  let remaining = text;
+
+  while (remaining.length > maxChars) {
+    const window = remaining.slice(0, maxChars);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < maxChars * 0.5) cut = window.lastIndexOf('\n');
+    if (cut < maxChars * 0.5) cut = window.lastIndexOf(' ');
+    if (cut < maxChars * 0.5) cut = maxChars;
+
+    parts.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut);
+  }
+
+  if (remaining.trim()) {
+    parts.push(remaining.trim());
+  }
+
+  return parts;
+}
+
+// Group pages into chunks of at most maxTokens, recording which pages each chunk covers.
+// Pages larger than a chunk are split and keep their page number on every part.
+function chunkPages(pages, maxTokens) {
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.parts.length > 0) {
+      chunks.push({
+        index: chunks.length,
+        text: current.parts.join('\n\n'),
+        startPage: current.startPage,
+        endPage: current.endPage,
+        tokens: current.tokens
+      });
+    }
+    current = null;
+  };
+
+  for (const page of pages) {
+    const text = (page.text || '').trim();
+    if (!text) continue;
+
+    for (const part of splitText(text, maxTokens)) {
+      const tokens = estimateTokens(part);
+
+      if (current && current.tokens + tokens > maxTokens) {
+        flush();
+      }
+
+      if (!current) {
+        current = { parts: [], startPage: page.pageNumber, endPage: page.pageNumber, tokens: 0 };
+      }
+
+      current.parts.push(part);
+      current.endPage = page.pageNumber;
+      current.tokens += tokens;
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+module.exports = {
+  estimateTokens,
+  getContextWindow,
+  chunkPages
+};
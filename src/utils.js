@@ -42,6 +42,41 @@ async function cleanupTempFile(filePath) {
   }
 }
 
+// Read a JSON file, returning the fallback when it does not exist yet
+async function readJsonFile(filePath, fallback = null) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+// Write a JSON file atomically (write to a temp file, then rename)
+async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.rename(tempPath, filePath);
+}
+
+// Resolve a per-folder setting (see parseFolderMap in config.js) by the longest matching folder prefix
+function resolveFolderSetting(folderMap, folderPath, defaultValue) {
+  if (!folderPath || !folderMap || folderMap.length === 0) {
+    return defaultValue;
+  }
+
+  const folderLower = folderPath.toLowerCase();
+  const match = folderMap
+    .filter(entry => folderLower === entry.folder || folderLower.startsWith(`${entry.folder}/`))
+    .sort((a, b) => b.folder.length - a.folder.length)[0];
+
+  return match ? match.value : defaultValue;
+}
+
 // Validate file format
 function isValidAudioFormat(filename) {
   const extension = path.extname(filename).toLowerCase().substring(1);
@@ -97,24 +132,26 @@ function formatDuration(seconds) {
   }
 }
 
-// Calculate estimated cost for OpenAI operations
-function estimateCost(inputTokens, outputTokens = 0, model = 'gpt-3.5-turbo') {
-  const costs = {
-    'gpt-3.5-turbo': { input: 0.0015, output: 0.002 }, // per 1K tokens
-    'gpt-4o': { input: 0.005, output: 0.015 }, // per 1K tokens
-    'gpt-4-turbo-preview': { input: 0.01, output: 0.03 }, // per 1K tokens
-    'whisper-1': 0.006 // per minute
-  };
-  
-  if (model === 'whisper-1') {
-    return (inputTokens / 60) * costs[model]; // inputTokens represents minutes for Whisper
+// Pricing of a model from config.costs.modelPricing. Dated snapshots such as gpt-4o-2024-08-06
+// use their base model's price; unknown models use the default price.
+function getModelPricing(model) {
+  const pricing = config.costs.modelPricing;
+
+  if (pricing[model]) {
+    return pricing[model];
   }
-  
-      const modelCost = costs[model] || costs['gpt-3.5-turbo'];
-    const inputCost = (inputTokens / 1000) * modelCost.input;
-    const outputCost = (outputTokens / 1000) * modelCost.output;
-  
-  return inputCost + outputCost;
+
+  const baseModel = Object.keys(pricing)
+    .filter(name => (model || '').startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return baseModel ? pricing[baseModel] : config.costs.defaultPricing;
+}
+
+// Calculate estimated cost in dollars of a model request
+function estimateCost(inputTokens, outputTokens = 0, model) {
+  const pricing = getModelPricing(model);
+  return (inputTokens / 1000) * (pricing.input || 0) + (outputTokens / 1000) * (pricing.output || 0);
 }
 
 // Sanitize filename for safe file system operations
@@ -132,12 +169,16 @@ module.exports = {
   logger,
   ensureTempDir,
   cleanupTempFile,
+  readJsonFile,
+  writeJsonFile,
+  resolveFolderSetting,
   isValidAudioFormat,
   isValidDocumentFormat,
   isValidFileSize,
   generateUniqueFilename,
   extractFileInfo,
   formatDuration,
+  getModelPricing,
   estimateCost,
   sanitizeFilename
 }; 
\ No newline at end of file
@@ -16,9 +16,12 @@ try {
   // Clear the timeout since server was created successfully
   clearTimeout(startupTimeout);
   
-  server.start();
-  
-  console.log('✅ Server started successfully');
+  server.start()
+    .then(() => console.log('✅ Server started successfully'))
+    .catch((error) => {
+      console.error('❌ Failed to start server:', error);
+      process.exit(1);
+    });
 } catch (error) {
   clearTimeout(startupTimeout);
   console.error('❌ Failed to start server:', error);
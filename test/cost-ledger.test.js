@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_FOLDER = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-ledger-'));
+process.env.DAILY_BUDGET_USD = '1';
+process.env.MONTHLY_BUDGET_USD = '10';
+process.env.DAILY_API_LIMIT = '3';
+
+const CostLedger = require('../src/cost-ledger');
+
+test.after(() => fs.rmSync(process.env.DATA_FOLDER, { recursive: true, force: true }));
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+
+function ledgerWith(entries) {
+  const ledger = new CostLedger();
+  ledger.entries = entries.map(([at, cost]) => ({ at, cost, jobId: 'job-1', fileId: 'id:a', stage: 'analysis' }));
+  return ledger;
+}
+
+test('is not exceeded below every limit', () => {
+  const ledger = ledgerWith([['2026-03-15T01:00:00Z', 0.5], ['2026-03-14T23:59:59Z', 0.9]]);
+  assert.deepStrictEqual(ledger.checkBudget(NOW), { exceeded: false });
+});
+
+test('daily budget resets at the start of the next UTC day', () => {
+  const status = ledgerWith([['2026-03-15T00:00:00Z', 0.6], ['2026-03-15T11:00:00Z', 0.4]]).checkBudget(NOW);
+  assert.strictEqual(status.exceeded, true);
+  assert.match(status.reason, /Daily budget/);
+  assert.strictEqual(status.resetsAt.toISOString(), '2026-03-16T00:00:00.000Z');
+});
+
+test('monthly budget wins and resets at the start of the next UTC month', () => {
+  const entries = Array.from({ length: 10 }, (_, index) => [`2026-03-0${index % 9 + 1}T10:00:00Z`, 1]);
+  const status = ledgerWith(entries).checkBudget(NOW);
+  assert.strictEqual(status.exceeded, true);
+  assert.match(status.reason, /Monthly budget/);
+  assert.strictEqual(status.resetsAt.toISOString(), '2026-04-01T00:00:00.000Z');
+});
+
+test('daily API limit counts requests, including free ones', () => {
+  const status = ledgerWith([['2026-03-15T01:00:00Z', 0], ['2026-03-15T02:00:00Z', 0], ['2026-03-15T03:00:00Z', 0]]).checkBudget(NOW);
+  assert.strictEqual(status.exceeded, true);
+  assert.match(status.reason, /Daily API limit of 3/);
+  assert.strictEqual(status.resetsAt.toISOString(), '2026-03-16T00:00:00.000Z');
+});
+
+test('a budget of 0 is a limit, not "no limit"', () => {
+  const { costs } = require('../config/config');
+  const dailyBudget = costs.dailyBudget;
+  costs.dailyBudget = 0;
+  try {
+    const status = ledgerWith([]).checkBudget(NOW);
+    assert.strictEqual(status.exceeded, true);
+    assert.match(status.reason, /Daily budget of \$0/);
+  } finally {
+    costs.dailyBudget = dailyBudget;
+  }
+});
+
+test('job costs only count the entries of that job', () => {
+  const ledger = ledgerWith([['2026-03-15T01:00:00Z', 0.25], ['2026-03-15T03:00:00Z', 0.5]]);
+  ledger.entries[1].jobId = 'job-2';
+  ledger.entries.push({ at: '2026-03-15T04:00:00Z', cost: 0.125, jobId: 'job-2', fileId: 'id:a', stage: 'vision' });
+
+  const costs = ledger.getJobCosts('job-2');
+  assert.deepStrictEqual(costs.map(({ stage, cost, requests }) => ({ stage, cost, requests })), [
+    { stage: 'analysis', cost: 0.5, requests: 1 },
+    { stage: 'vision', cost: 0.125, requests: 1 }
+  ]);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlToMarkdown } = require('../src/html-to-markdown');
+
+test('converts headings, paragraphs and inline formatting', () => {
+  assert.strictEqual(
+    htmlToMarkdown('<h1>Title</h1><p>Hello <strong>bold</strong> &amp; <em>it</em></p>'),
+    '# Title\n\nHello **bold** & *it*'
+  );
+});
+
+test('converts nested lists', () => {
+  assert.strictEqual(htmlToMarkdown('<ul><li>a<ul><li>b</li></ul></li><li>c</li></ul>'), '- a\n  - b\n- c');
+});
+
+test('converts tables to pipe tables', () => {
+  assert.strictEqual(
+    htmlToMarkdown('<table><tr><td>A</td><td>B</td></tr><tr><td>1</td><td>2</td></tr></table>'),
+    '| A | B |\n| --- | --- |\n| 1 | 2 |'
+  );
+});
+
+test('decodes numeric entities and leaves malformed ones as they are', () => {
+  assert.strictEqual(htmlToMarkdown('<p>&#65;&#x42;</p>'), 'AB');
+  assert.strictEqual(htmlToMarkdown('<p>a &#99999999; b</p>'), 'a &#99999999; b');
+  assert.strictEqual(htmlToMarkdown('<p>&#xD800;</p>'), '&#xD800;');
+});
+
+test('returns an empty string for empty input', () => {
+  assert.strictEqual(htmlToMarkdown(''), '');
+  assert.strictEqual(htmlToMarkdown(null), '');
+});
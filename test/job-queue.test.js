@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_FOLDER = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+process.env.JOB_MAX_ATTEMPTS = '3';
+process.env.JOB_RETRY_BASE_DELAY_MS = '1000';
+process.env.JOB_RETRY_MAX_DELAY_MS = '3000';
+
+const JobQueue = require('../src/job-queue');
+
+test.after(() => fs.rmSync(process.env.DATA_FOLDER, { recursive: true, force: true }));
+
+// A loaded queue with no worker running (jobs are run by hand with runJob)
+async function createQueue() {
+  fs.rmSync(path.join(process.env.DATA_FOLDER, 'jobs.jsonl'), { force: true });
+  const queue = new JobQueue();
+  await queue.load();
+  return queue;
+}
+
+test('failed attempts are retried with exponential backoff, capped at the maximum delay', async () => {
+  const queue = await createQueue();
+  const job = await queue.enqueue('test', {});
+  job.maxAttempts = 5;
+
+  const delays = [];
+  for (let i = 0; i < 3; i++) {
+    const before = Date.now();
+    queue.recordFailure(job, new Error('boom'));
+    delays.push(new Date(job.nextAttemptAt).getTime() - before);
+  }
+
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.attempts, 3);
+  assert.ok(Math.abs(delays[0] - 1000) < 100);
+  assert.ok(Math.abs(delays[1] - 2000) < 100);
+  assert.ok(Math.abs(delays[2] - 3000) < 100);
+});
+
+test('a job is dead-lettered after its last attempt and the hook is called', async () => {
+  const queue = await createQueue();
+  const job = await queue.enqueue('test', {});
+  const deadLetters = [];
+  queue.handler = async () => { throw new Error('boom'); };
+  queue.onDeadLetter = async (deadJob) => { deadLetters.push(deadJob.id); };
+
+  for (let i = 0; i < 3; i++) {
+    await queue.runJob(job);
+  }
+
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.deadLetter, true);
+  assert.strictEqual(job.nextAttemptAt, null);
+  assert.deepStrictEqual(deadLetters, [job.id]);
+  assert.deepStrictEqual(queue.getDeadLetters().map(deadJob => deadJob.id), [job.id]);
+});
+
+test('errors marked as not retryable are dead-lettered right away', async () => {
+  const queue = await createQueue();
+  const job = await queue.enqueue('test', {});
+  const error = new Error('unsupported');
+  error.retryable = false;
+
+  queue.recordFailure(job, error);
+
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.deadLetter, true);
+});
+
+test('deferred jobs are requeued without using an attempt', async () => {
+  const queue = await createQueue();
+  const job = await queue.enqueue('test', {});
+  const deferUntil = new Date(Date.now() + 60 * 60 * 1000);
+  queue.handler = async () => {
+    const error = new Error('budget used up');
+    error.deferUntil = deferUntil;
+    throw error;
+  };
+
+  await queue.runJob(job);
+
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.attempts, 0);
+  assert.strictEqual(job.nextAttemptAt, deferUntil.toISOString());
+});
+
+test('jobs interrupted on their last attempt get the dead-letter hook on start', async () => {
+  const queue = await createQueue();
+  const job = await queue.enqueue('test', {});
+  job.attempts = 2;
+  await queue.setStatus(job, 'extracting');
+  await queue.writeChain;
+
+  const restarted = new JobQueue();
+  await restarted.load();
+  const reloaded = restarted.getJob(job.id);
+  assert.strictEqual(reloaded.status, 'failed');
+  assert.strictEqual(reloaded.deadLetter, true);
+
+  const deadLetters = [];
+  await new Promise(resolve => {
+    restarted.start(async () => {}, {
+      onDeadLetter: async (deadJob) => {
+        deadLetters.push(deadJob.id);
+        resolve();
+      }
+    });
+  });
+  restarted.stop();
+
+  assert.deepStrictEqual(deadLetters, [job.id]);
+});
+
+test('a new revision of a job that is already running gets a job of its own', async () => {
+  const queue = await createQueue();
+  const job = await queue.enqueue('test', { rev: 1 }, { dedupeKey: 'file' });
+
+  let release;
+  let seenPayload = null;
+  queue.handler = (runningJob) => new Promise(resolve => {
+    seenPayload = runningJob.payload;
+    release = resolve;
+  });
+  const run = queue.runJob(job);
+  await queue.writeChain;
+
+  const next = await queue.enqueue('test', { rev: 2 }, { dedupeKey: 'file' });
+  assert.notStrictEqual(next.id, job.id);
+  assert.deepStrictEqual(job.payload, { rev: 1 });
+  assert.deepStrictEqual(seenPayload, { rev: 1 });
+
+  // Later revisions replace the payload of the job that is still waiting
+  const latest = await queue.enqueue('test', { rev: 3 }, { dedupeKey: 'file' });
+  assert.strictEqual(latest.id, next.id);
+  assert.deepStrictEqual(next.payload, { rev: 3 });
+
+  release();
+  await run;
+  assert.strictEqual(job.status, 'done');
+  assert.strictEqual(job.startedAt, null);
+});
+
+test('jobs interrupted before their first stage count as an interrupted attempt', async () => {
+  const queue = await createQueue();
+  const job = await queue.enqueue('test', {});
+  job.startedAt = new Date().toISOString();
+  await queue.persist(job);
+
+  const restarted = new JobQueue();
+  await restarted.load();
+  const reloaded = restarted.getJob(job.id);
+  assert.strictEqual(reloaded.status, 'queued');
+  assert.strictEqual(reloaded.attempts, 1);
+  assert.strictEqual(reloaded.startedAt, null);
+  assert.strictEqual(reloaded.error.message, 'Interrupted while starting');
+});
+
+test('a job the worker has picked up cannot be cancelled', async () => {
+  const queue = await createQueue();
+  const job = await queue.enqueue('test', {});
+
+  let release;
+  queue.handler = () => new Promise(resolve => { release = resolve; });
+  const run = queue.runJob(job);
+  await queue.writeChain;
+
+  await assert.rejects(queue.cancel(job.id), /already running/);
+  release();
+  await run;
+  assert.strictEqual(job.status, 'done');
+
+  const waiting = await queue.enqueue('test', {});
+  await queue.cancel(waiting.id);
+  assert.strictEqual(waiting.status, 'cancelled');
+});
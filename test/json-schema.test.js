@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSchema } = require('../src/json-schema');
+
+const ANALYSIS = {
+  type: 'object',
+  required: ['title', 'keyPoints', 'summary'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    keyPoints: { type: 'array', items: { type: 'string' } },
+    summary: { type: 'string', minLength: 1 },
+    confidence: { type: ['number', 'null'] },
+    kind: { type: 'string', enum: ['invoice', 'other'] }
+  }
+};
+
+test('accepts a valid value', () => {
+  assert.deepStrictEqual(validateSchema({ title: 'T', keyPoints: ['a'], summary: 'S', confidence: 1, kind: 'other' }, ANALYSIS), []);
+});
+
+test('reports missing required properties and empty strings', () => {
+  assert.deepStrictEqual(validateSchema({ title: '  ', keyPoints: [] }, ANALYSIS), [
+    'response.summary is missing',
+    'response.title should not be empty'
+  ]);
+});
+
+test('reports wrong types, including array items', () => {
+  assert.deepStrictEqual(validateSchema({ title: 'T', keyPoints: ['a', 2], summary: 'S', confidence: 'high' }, ANALYSIS), [
+    'response.keyPoints[1] should be string but is integer',
+    'response.confidence should be number or null but is string'
+  ]);
+  assert.deepStrictEqual(validateSchema([], ANALYSIS), ['response should be object but is array']);
+});
+
+test('accepts integers for number and null for nullable types', () => {
+  assert.deepStrictEqual(validateSchema(3, { type: 'number' }), []);
+  assert.deepStrictEqual(validateSchema(null, { type: ['number', 'null'] }), []);
+  assert.deepStrictEqual(validateSchema(1.5, { type: 'integer' }), ['response should be integer but is number']);
+});
+
+test('checks enum values and minimum array length', () => {
+  assert.deepStrictEqual(validateSchema({ title: 'T', keyPoints: [], summary: 'S', kind: 'memo' }, ANALYSIS), [
+    'response.kind should be one of: invoice, other'
+  ]);
+  assert.deepStrictEqual(validateSchema([], { type: 'array', minItems: 1 }, 'items'), ['items should have at least 1 item(s)']);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { markdownToBlocks, toRichText } = require('../src/markdown-to-notion');
+
+const plain = (content) => ({ type: 'text', text: { content } });
+
+test('converts headings and paragraphs with inline formatting', () => {
+  const blocks = markdownToBlocks('# Title\n\nHello **bold** and *it*');
+
+  assert.deepStrictEqual(blocks.map(block => block.type), ['heading_1', 'paragraph']);
+  assert.deepStrictEqual(blocks[0].heading_1.rich_text, [plain('Title')]);
+  assert.deepStrictEqual(blocks[1].paragraph.rich_text, [
+    plain('Hello '),
+    { ...plain('bold'), annotations: { bold: true } },
+    plain(' and '),
+    { ...plain('it'), annotations: { italic: true } }
+  ]);
+});
+
+test('nests indented list items under their parent', () => {
+  const [first, second] = markdownToBlocks('- a\n  - b\n1. one');
+
+  assert.strictEqual(first.type, 'bulleted_list_item');
+  assert.deepStrictEqual(first.bulleted_list_item.children.map(child => child.bulleted_list_item.rich_text), [[plain('b')]]);
+  assert.strictEqual(second.type, 'numbered_list_item');
+});
+
+test('converts pipe tables with a header row', () => {
+  const [table] = markdownToBlocks('| A | B |\n| --- | --- |\n| 1 | 2 |');
+
+  assert.strictEqual(table.type, 'table');
+  assert.strictEqual(table.table.table_width, 2);
+  assert.strictEqual(table.table.has_column_header, true);
+  assert.deepStrictEqual(table.table.children[1].table_row.cells, [[plain('1')], [plain('2')]]);
+});
+
+test('maps code fence languages', () => {
+  const [code] = markdownToBlocks('```js\nx()\n```');
+  assert.strictEqual(code.code.language, 'javascript');
+  assert.deepStrictEqual(code.code.rich_text, [plain('x()')]);
+});
+
+test('splits text longer than the rich text limit', () => {
+  const [paragraph] = markdownToBlocks('x'.repeat(4500));
+  assert.deepStrictEqual(paragraph.paragraph.rich_text.map(item => item.text.content.length), [2000, 2000, 500]);
+});
+
+test('keeps links', () => {
+  assert.deepStrictEqual(toRichText('[link](https://example.com)'), [
+    { type: 'text', text: { content: 'link', link: { url: 'https://example.com' } } }
+  ]);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const NotionHandler = require('../src/notion-handler');
+
+const paragraph = (text) => ({ object: 'block', type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: text } }] } });
+
+// A handler whose Notion client keeps one page's top-level blocks in memory.
+// Appends fail once `failAfterBatches` batches went through.
+function createHandler(oldBlockIds, { failAfterBatches = Infinity } = {}) {
+  const handler = new NotionHandler();
+  const page = oldBlockIds.map(id => ({ id, type: 'paragraph' }));
+  const calls = [];
+  let batches = 0;
+  let nextId = 1;
+
+  handler.client.request = async ({ method, path, data }) => {
+    calls.push(`${method} ${path.split('?')[0]}`);
+
+    if (method === 'GET') {
+      return { data: { results: page.slice(), has_more: false } };
+    }
+    if (method === 'PATCH') {
+      if (batches++ >= failAfterBatches) {
+        const error = new Error('validation_error');
+        error.response = { status: 400, data: { message: 'validation_error' } };
+        throw error;
+      }
+      const created = data.children.map(block => ({ id: `new${nextId++}`, type: block.type }));
+      page.push(...created);
+      return { data: { results: created } };
+    }
+    if (method === 'DELETE') {
+      const index = page.findIndex(block => `/blocks/${block.id}` === path);
+      page.splice(index, 1);
+      return { data: {} };
+    }
+    throw new Error(`Unexpected request ${method} ${path}`);
+  };
+
+  return { handler, page, calls };
+}
+
+test('old blocks are deleted only after the new content is appended', async () => {
+  const { handler, page, calls } = createHandler(['old1', 'old2']);
+
+  const report = await handler.updatePageContent('page', [paragraph('a'), paragraph('b')]);
+
+  assert.strictEqual(report.complete, true);
+  assert.deepStrictEqual(page.map(block => block.id), ['new1', 'new2']);
+  assert.deepStrictEqual(calls, [
+    'GET /blocks/page/children',
+    'PATCH /blocks/page/children',
+    'DELETE /blocks/old1',
+    'DELETE /blocks/old2'
+  ]);
+});
+
+test('a failed append removes the new blocks and keeps the old content', async () => {
+  // 150 blocks go out in two batches; the second one fails
+  const blocks = Array.from({ length: 150 }, (_, index) => paragraph(`block ${index}`));
+  const { handler, page, calls } = createHandler(['old1', 'old2'], { failAfterBatches: 1 });
+
+  await assert.rejects(handler.updatePageContent('page', blocks), /validation_error/);
+
+  assert.deepStrictEqual(page.map(block => block.id), ['old1', 'old2']);
+  assert.ok(!calls.includes('DELETE /blocks/old1'));
+  assert.strictEqual(calls.filter(call => call.startsWith('DELETE')).length, 100);
+});
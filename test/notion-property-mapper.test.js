@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const NotionPropertyMapper = require('../src/notion-property-mapper');
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'property-mapper-'));
+test.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+const mappingFile = path.join(folder, 'mapping.json');
+fs.writeFileSync(mappingFile, JSON.stringify({
+  'Name': { source: 'generatedTitle' },
+  'Manual Name Input': { source: 'generatedTitle', manual: true },
+  'Main Entry': { source: 'summary', default: 'No summary available' },
+  'Document Processed': { value: true },
+  'Status': { source: 'status', default: '📥' }
+}));
+
+const schema = {
+  'Name': { type: 'title' },
+  'Manual Name Input': { type: 'rich_text' },
+  'Main Entry': { type: 'rich_text' },
+  'Document Processed': { type: 'checkbox' },
+  'Status': { type: 'status' }
+};
+
+test('a new page gets every mapped property, with constants and defaults', () => {
+  const properties = new NotionPropertyMapper(mappingFile).buildProperties({ generatedTitle: 'Water bill' }, schema);
+
+  assert.deepStrictEqual(Object.keys(properties).sort(), ['Document Processed', 'Main Entry', 'Manual Name Input', 'Name', 'Status']);
+  assert.deepStrictEqual(properties.Status, { status: { name: '📥' } });
+  assert.strictEqual(properties['Main Entry'].rich_text[0].text.content, 'No summary available');
+});
+
+test('an update only writes properties filled from the document', () => {
+  const mapper = new NotionPropertyMapper(mappingFile);
+
+  const properties = mapper.buildProperties({ generatedTitle: 'Water bill', summary: 'Quarterly bill' }, schema, { update: true });
+  assert.deepStrictEqual(Object.keys(properties).sort(), ['Main Entry', 'Name']);
+
+  const review = mapper.buildProperties({ generatedTitle: 'Water bill', status: 'Needs review' }, schema, { update: true });
+  assert.deepStrictEqual(review.Status, { status: { name: 'Needs review' } });
+});
+
+test('status options the service writes must exist on a status property', () => {
+  const mapper = new NotionPropertyMapper(mappingFile);
+  const statusSchema = { ...schema, 'Status': { type: 'status', status: { options: [{ name: '📥' }, { name: 'Source deleted' }] } } };
+
+  const result = mapper.validate(statusSchema, { requiredOptions: { status: ['Source deleted', 'Needs review'] } });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, ['"Status": status option "Needs review" does not exist, add it in Notion']);
+
+  // Select options are created on write, so they are not checked
+  const selectSchema = { ...schema, 'Status': { type: 'select', select: { options: [] } } };
+  assert.strictEqual(mapper.validate(selectSchema, { requiredOptions: { status: ['Needs review'] } }).valid, true);
+});
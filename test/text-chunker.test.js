@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { estimateTokens, getContextWindow, chunkPages } = require('../src/text-chunker');
+
+test('estimates about four characters per token', () => {
+  assert.strictEqual(estimateTokens(''), 0);
+  assert.strictEqual(estimateTokens('abcd'), 1);
+  assert.strictEqual(estimateTokens('abcde'), 2);
+});
+
+test('looks up context windows, including dated snapshots and unknown models', () => {
+  assert.strictEqual(getContextWindow('gpt-4o'), 128000);
+  assert.strictEqual(getContextWindow('gpt-4o-mini-2024-07-18'), 128000);
+  assert.strictEqual(getContextWindow('gpt-4-0613'), 8192);
+  assert.strictEqual(getContextWindow('some-local-model'), 8192);
+});
+
+test('groups pages into chunks and records the pages each chunk covers', () => {
+  const pages = [
+    { pageNumber: 3, text: 'a'.repeat(40) },
+    { pageNumber: 4, text: 'b'.repeat(40) },
+    { pageNumber: 5, text: '' },
+    { pageNumber: 6, text: 'c'.repeat(40) }
+  ];
+
+  const chunks = chunkPages(pages, 20);
+
+  assert.deepStrictEqual(chunks.map(chunk => [chunk.index, chunk.startPage, chunk.endPage, chunk.tokens]), [
+    [0, 3, 4, 20],
+    [1, 6, 6, 10]
+  ]);
+  assert.strictEqual(chunks[0].text, `${'a'.repeat(40)}\n\n${'b'.repeat(40)}`);
+});
+
+test('splits a page larger than a chunk at paragraph boundaries and keeps its page number', () => {
+  const text = `${'a'.repeat(30)}\n\n${'b'.repeat(30)}\n\n${'c'.repeat(30)}`;
+  const chunks = chunkPages([{ pageNumber: 7, text }], 10);
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.text), ['a'.repeat(30), 'b'.repeat(30), 'c'.repeat(30)]);
+  assert.ok(chunks.every(chunk => chunk.startPage === 7 && chunk.endPage === 7));
+});